@@ -21,6 +21,20 @@
 //   --no-labels          不输出点标签
 //   --no-round           不四舍五入坐标
 //   --output, -o <file>  输出到文件（批量时为目录）
+//   --report[=<file>]    诊断报告（stderr 或 JSON 文件）
+//   --strict             有输入被丢弃时报错退出
+//   --in-place, -i       原地处理 .tex 文档中的每个 tikzpicture
+//   --dry-run            只输出文档差异，不写回
+//   --update, -u         重新生成时保留上次输出中的手工修改
+//   --color[=xcolor]     保留对象颜色（\definecolor 或最接近的 xcolor 颜色名）
+//   --symbolic           依赖点输出为 calc 表达式
+//   --preset <name>      使用配置文件中的命名预设
+//   --precision <N>      四舍五入保留的小数位数
+//   --snap[=<tol>]       吸附整数、分数、π 的倍数和根式
+//   --styles[=<file>]    输出 \tikzset 语义样式，元素引用样式
+//   --grouped            按元素类型分块输出（默认按图层与构造顺序）
+//   --auxiliary          输出 GeoGebra 辅助对象
+//   --watch, -w          监视输入文件与目录，变化后重新转换
 //   --help, -h           显示帮助
 
 'use strict';
@@ -28,23 +42,47 @@
 const fs = require('fs');
 const path = require('path');
 const zlib = require('zlib');
+const crypto = require('crypto');
 
 // ─── 工具函数 ───────────────────────────────────────────
 
 function roundToThreeDecimals(num) {
-    return Math.round(num * 1000) / 1000;
+    return roundTo(num, 3);
 }
 
-function formatCoordinate(coordStr, shouldRound) {
-    const match = coordStr.match(/\(([^,]+),([^)]+)\)/);
-    if (!match) return coordStr;
-    let x = parseFloat(match[1]);
-    let y = parseFloat(match[2]);
-    if (shouldRound) {
-        x = roundToThreeDecimals(x);
-        y = roundToThreeDecimals(y);
+function roundTo(num, digits) {
+    const k = Math.pow(10, digits);
+    return Math.round(num * k) / k;
+}
+
+// 吸附：在容差 tol 内把数值识别为整数、简单分数、π 的有理倍数或常见根式，
+// 返回 { text, value }（text 为 pgfmath 表达式，value 为其精确值），识别不出时返回 null。
+// angle 为真时只识别整数和分数（角度以度为单位，不会是 π 或根式的倍数）
+const SNAP_DENOMINATORS = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+const SNAP_UNITS = [
+    { name: 'pi', value: Math.PI, denominators: [1, 2, 3, 4, 6, 12] },
+    ...[2, 3, 5, 6, 7].map(n => ({ name: `sqrt(${n})`, value: Math.sqrt(n), denominators: [1, 2, 3, 4, 6] }))
+];
+
+function snapValue(v, tol, angle = false) {
+    const n = Math.round(v);
+    if (Math.abs(v - n) <= tol) return { text: String(n), value: n };
+    const sign = v < 0 ? -1 : 1, a = Math.abs(v);
+    const signed = text => sign < 0 ? `-${text}` : text;
+    for (const q of SNAP_DENOMINATORS) {
+        const k = Math.round(a * q);
+        if (Math.abs(a - k / q) <= tol) return { text: signed(`${k}/${q}`), value: sign * k / q };
+    }
+    if (angle) return null;
+    for (const unit of SNAP_UNITS) {
+        for (const q of unit.denominators) {
+            const k = Math.round(a * q / unit.value);
+            if (k < 1 || k > 24 || Math.abs(a - k * unit.value / q) > tol) continue;
+            const text = `${k === 1 ? '' : `${k}*`}${unit.name}${q === 1 ? '' : `/${q}`}`;
+            return { text: signed(text), value: sign * k * unit.value / q };
+        }
     }
-    return `(${x},${y})`;
+    return null;
 }
 
 function getSmartLabelPosition(x, y, allPoints) {
@@ -87,743 +125,3405 @@ const convertLineStyle = (style) => {
     return '';
 };
 
-// ─── 提取函数 ───────────────────────────────────────────
+// 箭头：GeoGebra 写作 ->、<->、-stealth、|-> 等，> 与 < 的形状由 >= 设置决定（GeoGebra 为 triangle 45）。
+// 统一为 arrows.meta 的箭头；GeoGebra 的三角箭头与 XML 转换的向量一样写作 Stealth
+const ARROW_TIPS = {
+    to: 'To', stealth: 'Stealth', latex: 'Latex', '|': 'Bar',
+    'triangle 45': 'Stealth', 'triangle 60': 'Stealth', 'triangle 90': 'Triangle'
+};
 
-function extractQuadraticFunctions(code, shouldRound) {
-    try {
-        const quadraticRegex = /\\draw\s*\[([^\]]+)\]\s*plot\s*\(\\x,\{\(\\x\)\^2\/2\/([^}]+)\}\)/g;
-        const quadraticMatches = [...code.matchAll(quadraticRegex)];
-        const quadraticFunctions = [];
-
-        quadraticMatches.forEach(match => {
-            const options = match[1];
-            let denominator = match[2];
-
-            const samplesMatch = options.match(/samples=(\d+)/);
-            const rotateMatch = options.match(/rotate around=\{([^:]+):\(([^,]+),([^)]+)\)\}/);
-            const xshiftMatch = options.match(/xshift=([^,]+)cm/);
-            const yshiftMatch = options.match(/yshift=([^,]+)cm/);
-            const domainMatch = options.match(/domain=([^:)]+):([^)]+)\)?/);
-
-            if (domainMatch) {
-                let angle = "0", centerX = "0", centerY = "0";
-                if (rotateMatch) { angle = rotateMatch[1]; centerX = rotateMatch[2]; centerY = rotateMatch[3]; }
-                let xshift = "0", yshift = "0";
-                if (xshiftMatch) xshift = xshiftMatch[1];
-                if (yshiftMatch) yshift = yshiftMatch[1];
-                let domainStart = domainMatch[1];
-                let domainEnd = domainMatch[2];
-                if (domainEnd.includes(')')) domainEnd = domainEnd.replace(')', '');
-
-                if (shouldRound) {
-                    if (centerX !== "0") centerX = roundToThreeDecimals(parseFloat(centerX));
-                    if (centerY !== "0") centerY = roundToThreeDecimals(parseFloat(centerY));
-                    if (xshift !== "0") xshift = roundToThreeDecimals(parseFloat(xshift));
-                    if (yshift !== "0") yshift = roundToThreeDecimals(parseFloat(yshift));
-                    denominator = roundToThreeDecimals(parseFloat(denominator));
-                    domainStart = roundToThreeDecimals(parseFloat(domainStart));
-                    domainEnd = roundToThreeDecimals(parseFloat(domainEnd));
-                    xshift += 'cm'; yshift += 'cm';
-                }
+function arrowTip(spec, defaultTip) {
+    const tip = spec.trim();
+    if (tip === '') return '';
+    if (tip === '>' || tip === '<') return defaultTip;
+    if (/^\{.*\}$/.test(tip)) return tip;
+    if (/^[A-Z][A-Za-z]*(\[.*\])?$/.test(tip)) return `{${tip}}`;
+    return ARROW_TIPS[tip] ? `{${ARROW_TIPS[tip]}}` : null;
+}
 
-                let newOptions = 'smooth,samples=500';
-                if (rotateMatch) newOptions += `,rotate around={${angle}:(${centerX},${centerY})}`;
-                if ((xshiftMatch && xshift !== "0cm") || (yshiftMatch && yshift !== "0cm"))
-                    newOptions += `,xshift=${xshift},yshift=${yshift}`;
-                newOptions += `,domain=${domainStart}:${domainEnd}`;
+// options 中形如 起点箭头-终点箭头 的一项 → '-{Stealth}'、'{Stealth}-{Stealth}' 等；没有箭头时为 null。
+// defaultArrow 为图形选项中的 >= 设置
+function arrowSpec(options, defaultArrow) {
+    const defaultTip = (defaultArrow && arrowTip(defaultArrow, null)) || '{To}';
+    for (const [key, value] of options) {
+        const item = value === true ? key : `${key}=${value}`;
+        const dash = splitTopLevel(item, '-');
+        if (dash.length !== 2) continue;
+        const [start, end] = dash.map(t => arrowTip(t, defaultTip));
+        if (start !== null && end !== null && (start || end)) return `${start}-${end}`;
+    }
+    return null;
+}
 
-                quadraticFunctions.push({ original: match[0], options: newOptions, expression: `(\\x)^2/2/${denominator}` });
-            }
-        });
-        return { hasQuadratic: quadraticFunctions.length > 0, quadraticFunctions };
-    } catch (error) {
-        return { hasQuadratic: false, quadraticFunctions: [] };
+// decorate、decoration=...、postaction=... 原样保留
+const DECORATION_OPTIONS = ['decorate', 'decoration', 'postaction'];
+
+function decorationOptions(options) {
+    const kept = [...options].filter(([key]) => DECORATION_OPTIONS.includes(key));
+    return kept.length > 0 ? kept.map(([key, value]) => value === true ? key : `${key}=${value}`) : null;
+}
+
+// xcolor 的基本颜色（RGB 0–255），用于就近取名
+const XCOLOR_NAMES = {
+    black: [0, 0, 0], white: [255, 255, 255], gray: [128, 128, 128], darkgray: [64, 64, 64], lightgray: [191, 191, 191],
+    red: [255, 0, 0], green: [0, 255, 0], blue: [0, 0, 255], cyan: [0, 255, 255], magenta: [255, 0, 255],
+    yellow: [255, 255, 0], brown: [191, 128, 64], lime: [191, 255, 0], olive: [128, 128, 0], orange: [255, 128, 0],
+    pink: [255, 191, 191], purple: [191, 0, 64], teal: [0, 128, 128], violet: [128, 0, 128]
+};
+
+// 颜色统一表示为大写十六进制 'RRGGBB'
+function rgbHex(r, g, b) {
+    return [r, g, b].map(v => Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+// 按色相、饱和度与亮度归入最接近的 xcolor 基本颜色（RGB 距离会把深蓝归为 teal 之类）
+function nearestColorName(hex) {
+    const [r, g, b] = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+    const max = Math.max(r, g, b), min = Math.min(r, g, b), l = (max + min) / 2;
+    const sat = max === min ? 0 : (max - min) / (1 - Math.abs(2 * l - 1));
+    if (sat < 0.15 || max - min < 0.08) {
+        return l < 0.15 ? 'black' : l < 0.4 ? 'darkgray' : l < 0.65 ? 'gray' : l < 0.9 ? 'lightgray' : 'white';
     }
+    let hue = max === r ? ((g - b) / (max - min)) % 6 : max === g ? (b - r) / (max - min) + 2 : (r - g) / (max - min) + 4;
+    hue = (hue * 60 + 360) % 360;
+    if (hue < 15 || hue >= 330) return l > 0.8 ? 'pink' : 'red';
+    if (hue < 45) return l < 0.35 ? 'brown' : 'orange';
+    if (hue < 70) return l < 0.35 ? 'olive' : 'yellow';
+    if (hue < 100) return 'lime';
+    if (hue < 160) return 'green';
+    if (hue < 200) return l < 0.35 ? 'teal' : 'cyan';
+    if (hue < 255) return 'blue';
+    if (hue < 285) return 'violet';
+    return l < 0.35 ? 'purple' : 'magenta';
 }
 
-function extractFunctionPlots(code, shouldRound) {
-    try {
-        const clipRegex = /\\clip\(([^,]+),([^)]+)\)\s*rectangle\s*\(([^,]+),([^)]+)\);/;
-        const clipMatch = code.match(clipRegex);
-        if (!clipMatch) {
-            return { hasFunctions: false, scopeCode: '', clipArea: '', normalFunctionCount: 0, quadraticFunctionCount: 0 };
-        }
-
-        const clipX1 = shouldRound ? roundToThreeDecimals(parseFloat(clipMatch[1])) : parseFloat(clipMatch[1]);
-        const clipY1 = shouldRound ? roundToThreeDecimals(parseFloat(clipMatch[2])) : parseFloat(clipMatch[2]);
-        const clipX2 = shouldRound ? roundToThreeDecimals(parseFloat(clipMatch[3])) : parseFloat(clipMatch[3]);
-        const clipY2 = shouldRound ? roundToThreeDecimals(parseFloat(clipMatch[4])) : parseFloat(clipMatch[4]);
-
-        const functionPlotRegex = /\\draw\[([^\]]*)\]\s*plot\s*\(\\x,\{([^}]*)\}\)/g;
-        const functionMatches = [...code.matchAll(functionPlotRegex)];
-        const functions = [];
-        const containsLnRegex = /ln\s*\(/i;
-
-        functionMatches.forEach(match => {
-            const options = match[1];
-            const functionExpression = match[2];
-            const domainRegex = /domain=([^:]+):([^,\]]+)/;
-            const domainMatch = options.match(domainRegex);
-
-            if (domainMatch) {
-                let domainStart = domainMatch[1], domainEnd = domainMatch[2];
-                if (containsLnRegex.test(functionExpression)) {
-                    if (Math.abs(parseFloat(domainStart)) < 0.001) domainStart = '0.001';
-                }
-                if (shouldRound) {
-                    const s = parseFloat(domainStart), e = parseFloat(domainEnd);
-                    if (!isNaN(s)) domainStart = roundToThreeDecimals(s).toString();
-                    if (!isNaN(e)) domainEnd = roundToThreeDecimals(e).toString();
-                }
-                let lineStyle = '';
-                if (options.includes('dash pattern=on 1pt off 1pt on 1pt off 4pt')) lineStyle = 'dash dot';
-                else if (options.includes('dash pattern=on 1pt off 1pt')) lineStyle = 'dashed';
-                else if (options.includes('dotted')) lineStyle = 'dotted';
+// \definecolor{名称}{rgb|RGB|HTML|gray}{值} → Map<名称, 'RRGGBB'>
+function parseColorDefinitions(code) {
+    const colors = new Map();
+    for (const m of code.matchAll(/\\definecolor\s*\{([^}]+)\}\s*\{([^}]+)\}\s*\{([^}]+)\}/g)) {
+        const [name, model, value] = [m[1].trim(), m[2].trim(), m[3].trim()];
+        const parts = value.split(',').map(v => parseFloat(v));
+        let hex = null;
+        if (model === 'rgb' && parts.length === 3) hex = rgbHex(...parts.map(v => v * 255));
+        else if (model === 'RGB' && parts.length === 3) hex = rgbHex(...parts);
+        else if (model === 'HTML' && /^[0-9A-Fa-f]{6}$/.test(value)) hex = value.toUpperCase();
+        else if (model === 'gray' && parts.length === 1) hex = rgbHex(parts[0] * 255, parts[0] * 255, parts[0] * 255);
+        if (hex && !parts.some(isNaN)) colors.set(name, hex);
+    }
+    return colors;
+}
+
+function resolveColor(value, colors) {
+    if (typeof value !== 'string') return null;
+    if (colors.has(value)) return colors.get(value);
+    return XCOLOR_NAMES[value] ? rgbHex(...XCOLOR_NAMES[value]) : null;
+}
+
+// ─── 场景模型 ───────────────────────────────────────────
+//
+// 两个前端（TikZ 清洗、GeoGebra XML 转换）都先构建同一种场景，再由 emitTikZ 统一输出。
+//
+// scene.coordinates  Map<名称, { x, y, expr, deps }>  expr: 符号模式下的 TikZ 坐标表达式，deps: 其引用的坐标
+// scene.clip         函数图像的裁剪区域 { x1, y1, x2, y2 } 或 null
+// scene.axes         坐标轴与网格 { x, y, grid } 或 null；
+//                    x / y: { min, max, step, label, numbers } 或 null（不显示），step 为刻度间距（null 时无刻度），
+//                    label 为轴标签（null 时取 x / y），numbers 为是否标刻度数字；grid: { x1, y1, x2, y2, xstep, ystep } 或 null
+// scene.elements     元素列表，每个元素带 kind 与 style：
+//   point       { at }                                    点标记
+//   path        { points: [ref], cycle }                  线段 / 折线 / 多边形边
+//   vector      { from, to }                              向量（带箭头）
+//   fill        { points: [ref] }                         多边形填充
+//   circle      { center, radius }
+//   ellipse     { center, rx, ry, rotate }                rotate: { angle, center } 或 null
+//   arc         { center, radius, start, end, from }      角度单位为度；from 为起点（可选）
+//   sector      { center, radius, start, end, from }
+//   angle       { vertex, radius, start, end }            角度标记；直角另带 right（radius 为方块边长）与 filled（是否填充）
+//   function    { expr, domain: [a, b], transform }       y = f(\x)
+//   parametric  { x, y }                                  \t ∈ [0, 1]
+//   label       { at, text, role, position, options }     role: point | angle | text | object
+// 绘制元素可带 layer（GeoGebra 图层，默认 0）与 order（构造顺序），决定输出的先后
+// ref 为坐标名（字符串）或 { x, y }
+// style        { line, fill, opacity, color, fillColor }    fill 为 true 时取默认填充色（polygonFill）；
+//                                                            color / fillColor 为 'RRGGBB'，仅在颜色模式下输出；
+//                                                            多边形的 fillColor 在非颜色模式下取最接近的 xcolor 颜色名
+// scene.warnings     转换警告
+// scene.report       逐条输入的处理结果 { line, status, kind, source, note }，
+//                    status: converted（已转换）| merged（并入其他元素）| dropped（丢弃）| hidden（隐藏对象）
+//                            | ignored（已识别但无需输出，如没有函数图像时的裁剪框）
+
+function createScene() {
+    return { coordinates: new Map(), clip: null, axes: null, elements: [], warnings: [], report: [] };
+}
+
+function reportEntry(scene, line, status, kind, source, note = '') {
+    scene.report.push({ line, status, kind: kind || null, source: source.replace(/\s+/g, ' ').trim(), note });
+}
+
+function findCoordinate(scene, x, y) {
+    for (const [name, c] of scene.coordinates) {
+        if (Math.abs(c.x - x) < 0.001 && Math.abs(c.y - y) < 0.001) return name;
+    }
+    return null;
+}
+
+function pointRef(scene, x, y) {
+    return findCoordinate(scene, x, y) || { x, y };
+}
+
+// ─── TikZ 路径解析 ──────────────────────────────────────
+//
+// 把 tikzpicture 正文拆成以 ; 结尾的路径命令（\draw、\fill、\filldraw、\node 等），
+// 再把每条命令切成记号：选项 [...]、坐标 (...)、花括号组 {...}、路径操作与关键字。
+// 分隔符按嵌套深度匹配，因此选项中的 {(1,2)}、跨行命令、多段路径都能正确解析。
+// 紧跟在 \foreach \x in {...} 之后的命令带上 foreach: { variable, list }。
+
+const PATH_COMMANDS = new Set(['draw', 'fill', 'filldraw', 'path', 'clip', 'node', 'shade', 'shadedraw']);
+
+function splitTikZCommands(body, firstLine = 1) {
+    // 去掉注释但保留换行，行号保持不变
+    const text = body.replace(/(^|[^\\])%.*$/gm, '$1');
+    const commands = [];
+    let line = firstLine, foreach = null;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') { line++; continue; }
+        if (text[i] !== '\\') continue;
+        const m = /^\\([a-zA-Z]+)/.exec(text.slice(i, i + 32));
+        const loop = m && m[1] === 'foreach' && /^\\foreach\s*(\\[a-zA-Z]+)\s+in\s*\{([^}]*)\}/.exec(text.slice(i));
+        if (loop) {
+            foreach = { variable: loop[1], list: loop[2], source: loop[0], line };
+            line += loop[0].split('\n').length - 1;
+            i += loop[0].length - 1;
+            continue;
+        }
+        if (!m || !PATH_COMMANDS.has(m[1])) { if (m) i += m[0].length - 1; continue; }
+
+        const startLine = line;
+        let j = i + m[0].length, depth = 0;
+        for (; j < text.length; j++) {
+            const c = text[j];
+            if (c === '\n') line++;
+            else if (c === '{') depth++;
+            else if (c === '}') depth--;
+            else if (c === ';' && depth <= 0) break;
+        }
+        const command = { name: m[1], text: text.slice(i + m[0].length, j), line: startLine, source: text.slice(i, j + 1) };
+        if (foreach) {
+            command.foreach = { variable: foreach.variable, list: foreach.list };
+            command.source = `${foreach.source} ${command.source}`;
+            command.line = foreach.line;
+            foreach = null;
+        }
+        commands.push(command);
+        i = j;
+    }
+    return commands;
+}
+
+// \foreach 列表展开为数值：-4,-3,...,3 或逐个列出
+function foreachValues(list) {
+    const parts = list.split(',').map(p => p.trim()).filter(Boolean);
+    const values = [];
+    for (let k = 0; k < parts.length; k++) {
+        if (parts[k] !== '...') { values.push(parseFloat(parts[k])); continue; }
+        const a = values[values.length - 2], b = values[values.length - 1], end = parseFloat(parts[k + 1]);
+        const step = b - a;
+        if (!(Math.abs(step) > 0) || isNaN(end)) continue;
+        for (let v = b + step; step > 0 ? v < end - 1e-9 : v > end + 1e-9; v += step) values.push(roundTo(v, 9));
+    }
+    return values.filter(v => !isNaN(v));
+}
+
+// 从 open 处读到配对的 close，返回 [内容, 结束位置之后]；花括号内不计其他分隔符
+function readDelimited(text, start, open, close) {
+    let depth = 0, braces = 0;
+    for (let i = start; i < text.length; i++) {
+        const c = text[i];
+        if (c === '{' && open !== '{') braces++;
+        else if (c === '}' && open !== '{') braces--;
+        else if (braces > 0) continue;
+        else if (c === open) depth++;
+        else if (c === close && --depth === 0) return [text.slice(start + 1, i), i + 1];
+    }
+    return [text.slice(start + 1), text.length];
+}
+
+// 按顶层（不在括号内）的分隔符切分
+function splitTopLevel(text, sep) {
+    const parts = [];
+    let depth = 0, last = 0;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (c === '{' || c === '(' || c === '[') depth++;
+        else if (c === '}' || c === ')' || c === ']') depth--;
+        else if (c === sep && depth === 0) { parts.push(text.slice(last, i)); last = i + 1; }
+    }
+    parts.push(text.slice(last));
+    return parts;
+}
+
+function tokenizePath(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const c = text[i];
+        if (/\s/.test(c)) { i++; continue; }
+        let value;
+        if (c === '[') {
+            // 选项中只按方括号与花括号配对：GeoGebra 会输出 domain=-8:8) 这样不配对的圆括号
+            [value, i] = readDelimited(text, i, '[', ']');
+            tokens.push({ type: 'options', value });
+        } else if (c === '(') {
+            [value, i] = readDelimited(text, i, '(', ')');
+            tokens.push({ type: 'coord', value });
+        } else if (c === '{') {
+            [value, i] = readDelimited(text, i, '{', '}');
+            tokens.push({ type: 'group', value });
+        } else if (['--', '|-', '-|', '..', '++'].includes(text.slice(i, i + 2))) {
+            tokens.push({ type: 'op', value: text.slice(i, i + 2) });
+            i += 2;
+        } else if (c === '+') {
+            tokens.push({ type: 'op', value: '+' });
+            i++;
+        } else if (/[a-zA-Z]/.test(c)) {
+            value = /^[a-zA-Z]+/.exec(text.slice(i))[0];
+            tokens.push({ type: 'word', value });
+            i += value.length;
+        } else {
+            tokens.push({ type: 'unknown', value: c });
+            i++;
+        }
+    }
+    return tokens;
+}
+
+function parseOptions(raw) {
+    const options = new Map();
+    for (const part of splitTopLevel(raw, ',')) {
+        const item = part.trim();
+        if (!item) continue;
+        const eq = item.indexOf('=');
+        if (eq === -1) options.set(item, true);
+        else options.set(item.slice(0, eq).trim(), item.slice(eq + 1).trim());
+    }
+    return options;
+}
 
-                let newOptions = 'smooth,samples=500';
-                if (lineStyle) newOptions = lineStyle + ',' + newOptions;
+const NUMBER_RE = /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/;
+
+function parseCoordinate(raw, relative) {
+    const coord = { type: 'coord', raw, relative };
+    const parts = splitTopLevel(raw, ',');
+    if (parts.length === 2) {
+        if (NUMBER_RE.test(parts[0]) && NUMBER_RE.test(parts[1])) {
+            coord.x = parseFloat(parts[0]);
+            coord.y = parseFloat(parts[1]);
+        } else {
+            coord.expr = parts.map(p => p.trim());
+        }
+    } else if (parts.length === 1 && raw.includes(':')) {
+        const [angle, radius] = raw.split(':');
+        coord.angle = parseNumber(angle);
+        coord.radius = parseNumber(radius);
+    } else if (parts.length === 1) {
+        coord.name = raw.trim();
+    }
+    return coord;
+}
+
+function parseNumber(str) {
+    const v = parseFloat(str);
+    return isNaN(v) ? str.trim() : v;
+}
+
+// 把一条路径命令解析为 { command, options, rawOptions, items }
+function parsePathCommand(name, text) {
+    const tokens = tokenizePath(text);
+    const cmd = { command: name, options: new Map(), rawOptions: '', items: [] };
+    let t = 0;
+    const peek = type => tokens[t] && tokens[t].type === type;
+    const takeOptions = () => peek('options') ? parseOptions(tokens[t++].value) : new Map();
+
+    while (peek('options')) {
+        const raw = tokens[t++].value;
+        cmd.rawOptions += (cmd.rawOptions ? ',' : '') + raw;
+        for (const [k, v] of parseOptions(raw)) cmd.options.set(k, v);
+    }
 
-                functions.push({ original: match[0], options: newOptions, domainStart, domainEnd, expression: functionExpression, lineStyle });
+    let relative = null;
+    while (t < tokens.length) {
+        const tok = tokens[t++];
+        if (tok.type === 'op' && (tok.value === '+' || tok.value === '++')) { relative = tok.value; continue; }
+        if (tok.type === 'coord') {
+            cmd.items.push(parseCoordinate(tok.value, relative));
+        } else if (tok.type === 'op') {
+            cmd.items.push({ type: 'op', value: tok.value });
+        } else if (tok.type === 'word' && tok.value === 'cycle') {
+            cmd.items.push({ type: 'cycle' });
+        } else if (tok.type === 'word' && (tok.value === 'circle' || tok.value === 'ellipse' || tok.value === 'arc' || tok.value === 'rectangle')) {
+            const options = takeOptions();
+            const arg = peek('coord') ? tokens[t++].value : '';
+            const item = { type: tok.value, options, raw: arg };
+            if (tok.value === 'circle') item.radius = arg;
+            if (tok.value === 'ellipse') [item.rx, item.ry] = arg.split(/\s+and\s+/);
+            if (tok.value === 'arc') [item.start, item.end, item.radius] = arg.split(':').map(parseNumber);
+            if (tok.value === 'rectangle') item.to = parseCoordinate(arg, null);
+            cmd.items.push(item);
+        } else if (tok.type === 'word' && tok.value === 'node') {
+            const options = takeOptions();
+            const nodeName = peek('coord') ? tokens[t++].value : null;
+            let at = null;
+            if (tokens[t] && tokens[t].type === 'word' && tokens[t].value === 'at') { t++; at = peek('coord') ? parseCoordinate(tokens[t++].value, null) : null; }
+            const text = peek('group') ? tokens[t++].value : '';
+            cmd.items.push({ type: 'node', options, name: nodeName, at, text });
+        } else if (tok.type === 'word' && tok.value === 'plot') {
+            const options = takeOptions();
+            const item = { type: 'plot', options };
+            if (peek('coord')) {
+                item.expr = splitTopLevel(tokens[t++].value, ',').map(p => p.trim());
+            } else if (tokens[t] && tokens[t].type === 'word' && tokens[t].value === 'function') {
+                t++;
+                item.parametric = peek('group') ? tokens[t++].value : '';
             }
-        });
+            cmd.items.push(item);
+        } else {
+            cmd.items.push({ type: 'unknown', value: tok.value });
+        }
+        relative = null;
+    }
+    return cmd;
+}
+
+// ─── 提取函数 ───────────────────────────────────────────
+//
+// 每个提取函数识别一种解析后的命令，成功时返回场景元素，否则返回 null。
+
+const isCoord  = item => item && item.type === 'coord' && item.x !== undefined && !item.relative;
+const isOp     = (item, op) => item && item.type === 'op' && item.value === op;
+const itemTypes = cmd => cmd.items.map(i => i.type === 'op' ? i.value : i.type).join(' ');
+
+function shiftOf(cmd) {
+    const shift = cmd.options.get('shift');
+    if (typeof shift !== 'string') return null;
+    const c = parseCoordinate(shift.replace(/^\{\s*\(|\)\s*\}$/g, ''), null);
+    return c.x !== undefined ? c : null;
+}
+
+function extractPointMarker(cmd) {
+    const [at, circle] = cmd.items;
+    if (cmd.items.length !== 2 || !isCoord(at) || !circle || circle.type !== 'circle') return null;
+    if (!cmd.options.has('fill') && cmd.command === 'draw') return null;
+    if (!/pt\s*$/.test(circle.radius)) return null;
+    return { x: at.x, y: at.y };
+}
+
+// \draw[color=...] (x,y) node {$A$};
+function extractLabelNode(cmd) {
+    const [at, node] = cmd.items;
+    if (cmd.items.length !== 2 || !isCoord(at) || !node || node.type !== 'node') return null;
+    const degree = node.text.match(/^\$(.*)\\textrm\{\\degre\}\$$/);
+    if (degree) return { kind: 'label', at: { x: at.x, y: at.y }, text: `$${degree[1]}^{\\circ}$`, role: 'angle', style: {} };
+    if (node.options.size > 0) {
+        const options = [...node.options].map(([k, v]) => v === true ? k : `${k}=${v}`).join(',');
+        return { kind: 'label', at: { x: at.x, y: at.y }, text: node.text, role: 'text', options, style: {} };
+    }
+    const math = node.text.match(/^\$(.+)\$$/);
+    if (math) return { kind: 'label', at: { x: at.x, y: at.y }, text: math[1], role: 'point', style: {} };
+    return null;
+}
+
+function extractClip(cmd) {
+    const [from, rect] = cmd.items;
+    if (cmd.command !== 'clip' || !isCoord(from) || !rect || rect.type !== 'rectangle' || rect.to.x === undefined) return null;
+    return { x1: from.x, y1: from.y, x2: rect.to.x, y2: rect.to.y };
+}
 
-        const quadraticResult = extractQuadraticFunctions(code, shouldRound);
-        let result = '  \\begin{scope}\n';
-        result += `    \\clip(${clipX1},${clipY1}) rectangle (${clipX2},${clipY2});\n`;
-        functions.forEach(func => {
-            result += `    \\draw[${func.options},domain=${func.domainStart}:${func.domainEnd}] plot(\\x,{${func.expression}});\n`;
+// 坐标轴、刻度与网格。GeoGebra 导出时逐条展开：
+//   \draw [color=cqcqcq,..., xstep=1.0cm,ystep=1.0cm] (-4.3,-3.46) grid (7.34,6.3);        网格
+//   \draw[->,color=black] (-4.3,0.) -- (7.34,0.);                                          x 轴（y 轴同理）
+//   \foreach \x in {-4.,-3.,...}
+//   \draw[shift={(\x,0)},color=black] (0pt,2pt) -- (0pt,-2pt) node[below] {\footnotesize $\x$};   刻度
+//   \draw[color=black] (0pt,-10pt) node[right] {\footnotesize $0$};                         原点标签
+function extractAxisPart(cmd) {
+    const items = cmd.items;
+    if (items.length === 3 && isCoord(items[0]) && items[1].type === 'unknown' && items[1].value === 'grid' && isCoord(items[2])) {
+        const step = key => parseFloat(cmd.options.get(key) || cmd.options.get('step') || 1);
+        const [a, , b] = items;
+        return { part: 'grid', x1: Math.min(a.x, b.x), y1: Math.min(a.y, b.y), x2: Math.max(a.x, b.x), y2: Math.max(a.y, b.y), xstep: step('xstep'), ystep: step('ystep') };
+    }
+    const shift = cmd.options.get('shift');
+    if (cmd.foreach && shift) {
+        const v = cmd.foreach.variable.replace(/\\/g, '\\\\');
+        const axis = new RegExp(`^\\{?\\(\\s*${v}\\s*,\\s*0\\.?\\s*\\)\\}?$`).test(shift) ? 'x'
+            : new RegExp(`^\\{?\\(\\s*0\\.?\\s*,\\s*${v}\\s*\\)\\}?$`).test(shift) ? 'y' : null;
+        if (axis) return { part: 'ticks', axis, values: foreachValues(cmd.foreach.list), numbers: items.some(i => i.type === 'node') };
+    }
+    if (cmd.options.has('->') && !cmd.options.has('line width') && items.length === 3 && isCoord(items[0]) && isOp(items[1], '--') && isCoord(items[2])) {
+        const [a, , b] = items;
+        if (a.y === 0 && b.y === 0) return { part: 'axis', axis: 'x', min: Math.min(a.x, b.x), max: Math.max(a.x, b.x) };
+        if (a.x === 0 && b.x === 0) return { part: 'axis', axis: 'y', min: Math.min(a.y, b.y), max: Math.max(a.y, b.y) };
+    }
+    const [at, node] = items;
+    if (items.length === 2 && at.type === 'coord' && at.expr && at.expr.every(p => /pt$/.test(p)) &&
+        node.type === 'node' && /^(\\[a-z]+size\s*)?\$0\$$/.test(node.text.trim())) return { part: 'origin' };
+    return null;
+}
+
+// pgfplots 导出：\begin{axis}[axis lines=middle, xmin=..., xtick={-4,-3,...,7}, xmajorgrids=true, ...]
+function extractPgfplotsAxis(body) {
+    const m = /\\begin\{axis\}\s*\[/.exec(body);
+    if (!m) return null;
+    const [raw] = readDelimited(body, m.index + m[0].length - 1, '[', ']');
+    const options = parseOptions(raw);
+    const number = key => parseFloat(options.get(key));
+    const parts = [];
+    if (options.get('axis lines') === 'none') return { parts, index: m.index, source: `\\begin{axis}[${raw}]` };
+    for (const axis of ['x', 'y']) {
+        const min = number(`${axis}min`), max = number(`${axis}max`);
+        if (!isNaN(min) && !isNaN(max)) parts.push({ part: 'axis', axis, min, max });
+        const ticks = options.get(`${axis}tick`);
+        if (ticks && ticks !== '\\empty') {
+            const values = foreachValues(ticks.replace(/^\{|\}$/g, ''));
+            if (values.length > 1) parts.push({ part: 'ticks', axis, values, numbers: options.get(`${axis}ticklabels`) !== '\\empty' });
+        }
+    }
+    const ticks = axis => parts.find(p => p.part === 'ticks' && p.axis === axis);
+    const bounds = axis => parts.find(p => p.part === 'axis' && p.axis === axis);
+    const grids = options.get('grid') === 'major' || options.get('xmajorgrids') === 'true' || options.get('ymajorgrids') === 'true';
+    if (grids && bounds('x') && bounds('y') && ticks('x') && ticks('y')) {
+        parts.push({
+            part: 'grid', x1: bounds('x').min, y1: bounds('y').min, x2: bounds('x').max, y2: bounds('y').max,
+            xstep: tickStep(ticks('x').values), ystep: tickStep(ticks('y').values)
         });
-        if (quadraticResult.hasQuadratic) {
-            quadraticResult.quadraticFunctions.forEach(quad => {
-                result += `    \\draw[${quad.options}] plot(\\x,{${quad.expression}});\n`;
-            });
+    }
+    return { parts, index: m.index, source: `\\begin{axis}[${raw}]` };
+}
+
+function tickStep(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    let step = Infinity;
+    for (let i = 1; i < sorted.length; i++) if (sorted[i] - sorted[i - 1] > 1e-9) step = Math.min(step, sorted[i] - sorted[i - 1]);
+    return isFinite(step) ? roundTo(step, 9) : null;
+}
+
+// 由轴线、刻度与网格拼出 scene.axes；轴线缺失时按刻度和网格的范围补全
+function assembleAxes(parts) {
+    if (!parts.some(p => p.part !== 'origin')) return null;
+    const axes = { x: null, y: null, grid: null };
+    const axisOf = name => axes[name] || (axes[name] = { min: Infinity, max: -Infinity, step: null, label: null, numbers: false });
+    const tickValues = { x: [], y: [] };
+    for (const p of parts) {
+        if (p.part === 'axis') {
+            const a = axisOf(p.axis);
+            a.min = Math.min(a.min, p.min);
+            a.max = Math.max(a.max, p.max);
+        } else if (p.part === 'ticks') {
+            const a = axisOf(p.axis);
+            a.step = tickStep(p.values);
+            a.numbers = p.numbers;
+            tickValues[p.axis].push(...p.values);
+        } else if (p.part === 'grid') {
+            axes.grid = { x1: p.x1, y1: p.y1, x2: p.x2, y2: p.y2, xstep: p.xstep, ystep: p.ystep };
         }
-        result += '  \\end{scope}\n';
+    }
+    for (const name of ['x', 'y']) {
+        const a = axes[name], values = tickValues[name];
+        if (!a || a.min <= a.max) continue;
+        if (values.length > 0) { a.min = Math.min(...values); a.max = Math.max(...values); }
+        else axes[name] = null;
+    }
+    return axes;
+}
 
-        return {
-            hasFunctions: functions.length > 0 || quadraticResult.hasQuadratic,
-            scopeCode: result,
-            clipArea: `(${clipX1},${clipY1}) rectangle (${clipX2},${clipY2})`,
-            normalFunctionCount: functions.length,
-            quadraticFunctionCount: quadraticResult.quadraticFunctions.length
-        };
-    } catch (error) {
-        return { hasFunctions: false, scopeCode: '', clipArea: '', normalFunctionCount: 0, quadraticFunctionCount: 0 };
+// a*b*cos(\t r)+c*d*sin(\t r) 的各项系数 { cos, sin }，含其他内容时为 null
+function trigCoefficients(expr) {
+    const TERM = /\s*([+-]*)\s*((?:[\d.]+(?:e[+-]?\d+)?\s*\*\s*)*)(cos|sin)\(\\t r\)/gy;
+    const text = expr.trim().replace(/^\{([\s\S]*)\}$/, '$1').trim();
+    const coefficients = { cos: 0, sin: 0 };
+    let m, end = 0;
+    while ((m = TERM.exec(text))) {
+        const factors = m[2].split('*').map(f => f.trim()).filter(Boolean).map(Number);
+        if (factors.some(isNaN)) return null;
+        coefficients[m[3]] += (m[1].split('-').length % 2 ? 1 : -1) * factors.reduce((p, f) => p * f, 1);
+        end = TERM.lastIndex;
     }
+    return end > 0 && end === text.length ? coefficients : null;
 }
 
-function extractParametricPlots(code, shouldRound) {
-    try {
-        const parametricRegex = /\\draw\[([^\]]*)\]\s*plot\[parametric\]\s*function\{([^}]+)\};/g;
-        const matches = [...code.matchAll(parametricRegex)];
-        const plots = [];
-
-        matches.forEach(match => {
-            const options = match[1];
-            const functionStr = match[2];
-            const commaMatch = functionStr.match(/([^,]+),([^,]+)/);
-            if (!commaMatch) return;
-            let xExpr = commaMatch[1].trim(), yExpr = commaMatch[2].trim();
-
-            if (shouldRound) {
-                xExpr = xExpr.replace(/(\d+\.\d{4,})/g, m => roundToThreeDecimals(parseFloat(m)).toString());
-                yExpr = yExpr.replace(/(\d+\.\d{4,})/g, m => roundToThreeDecimals(parseFloat(m)).toString());
-            }
-            xExpr = xExpr.replace(/t\*\*\((\d+)\)/g, '\\t^$1');
-            xExpr = xExpr.replace(/\(1-t\)\*\*\((\d+)\)/g, '(1-\\t)^$1');
-            yExpr = yExpr.replace(/t\*\*\((\d+)\)/g, '\\t^$1');
-            yExpr = yExpr.replace(/\(1-t\)\*\*\((\d+)\)/g, '(1-\\t)^$1');
-            xExpr = xExpr.replace(/([ (+\-*/,])t(?!\w)/g, '$1\\t');
-            yExpr = yExpr.replace(/([ (+\-*/,])t(?!\w)/g, '$1\\t');
-            xExpr = xExpr.replace(/^t(?!\w)/, '\\t');
-            yExpr = yExpr.replace(/^t(?!\w)/, '\\t');
-
-            const lineStyle = convertLineStyle(options);
-            plots.push({ original: match[0], options, xExpression: xExpr, yExpression: yExpr, lineStyle });
+// 把 GeoGebra 的 {1*R*cos(\t r)+0*R*sin(\t r)},{0*R*cos(\t r)+1*R*sin(\t r)} 圆周参数式还原为半径，
+// 系数可写作 1、1. 或 1.0
+function circularRadius(plot) {
+    if (!plot.expr || plot.expr.length !== 2) return null;
+    const x = trigCoefficients(plot.expr[0]), y = trigCoefficients(plot.expr[1]);
+    if (!x || !y || !(x.cos > 0)) return null;
+    const eps = 1e-9 * Math.max(1, x.cos);
+    return Math.abs(x.sin) < eps && Math.abs(y.cos) < eps && Math.abs(y.sin - x.cos) < eps ? x.cos : null;
+}
+
+function plotDomain(plot, cmd) {
+    const domain = plot.options.get('domain') || cmd.options.get('domain');
+    if (typeof domain !== 'string') return null;
+    const [a, b] = domain.replace(/\)$/, '').split(':');
+    return b === undefined ? null : [parseNumber(a), parseNumber(b)];
+}
+
+// [shift={(x,y)}] (0,0) -- (a:r) arc (a:b:r) -- cycle
+function extractAngle(cmd, ctx) {
+    const shift = shiftOf(cmd);
+    if (!shift || itemTypes(cmd) !== 'coord -- coord arc -- cycle') return null;
+    const [origin, , edge, arc] = cmd.items;
+    if (origin.x !== 0 || origin.y !== 0 || edge.angle === undefined) return null;
+    return { kind: 'angle', vertex: ctx.ref(shift.x, shift.y), radius: arc.radius, start: arc.start, end: arc.end, style: {} };
+}
+
+// GeoGebra 的直角标记：以顶点为一角的小正方形 (V) -- (P) -- (Q) -- (R) -- cycle，
+// 只有顶点是命名的点（四角都命名的是多边形）
+function extractRightAngle(cmd, ctx) {
+    if (itemTypes(cmd) !== 'coord -- coord -- coord -- coord -- cycle' || !cmd.items.every(i => i.type !== 'coord' || isCoord(i))) return null;
+    const corners = cmd.items.filter(isCoord);
+    const refs = corners.map(c => ctx.ref(c.x, c.y));
+    const named = refs.map((r, i) => typeof r === 'string' ? i : -1).filter(i => i >= 0);
+    if (named.length !== 1) return null;
+    const at = k => corners[(named[0] + k) % 4];
+    const v = at(0), next = at(1), opposite = at(2), prev = at(3);
+    const side = Math.hypot(next.x - v.x, next.y - v.y);
+    const close = (a, b) => Math.abs(a - b) < 1e-3 * Math.max(side, 1);
+    if (!(side > 0) || !close(Math.hypot(prev.x - v.x, prev.y - v.y), side) ||
+        !close(Math.hypot(opposite.x - v.x, opposite.y - v.y), side * Math.SQRT2) ||
+        !close(opposite.x - v.x, next.x - v.x + prev.x - v.x) || !close(opposite.y - v.y, next.y - v.y + prev.y - v.y)) return null;
+    const dirNext = Math.atan2(next.y - v.y, next.x - v.x) * 180 / Math.PI;
+    const dirPrev = Math.atan2(prev.y - v.y, prev.x - v.x) * 180 / Math.PI;
+    const start = Math.abs(normalizeDegrees(dirPrev - dirNext) - 90) < 1 ? dirNext : dirPrev;
+    return { kind: 'angle', vertex: refs[named[0]], radius: side, start, end: start + 90, right: true, filled: cmd.options.has('fill'), style: {} };
+}
+
+// [shift={(x,y)}] (0,0) -- plot[domain=a:b,variable=\t](...) -- cycle
+function extractSector(cmd, ctx) {
+    const shift = shiftOf(cmd);
+    if (!shift || itemTypes(cmd) !== 'coord -- plot -- cycle') return null;
+    const plot = cmd.items[2], radius = circularRadius(plot), domain = plotDomain(plot, cmd);
+    if (radius === null || !domain) return null;
+    return {
+        kind: 'sector', center: ctx.ref(shift.x, shift.y), radius,
+        start: domain[0] * 180 / Math.PI, end: domain[1] * 180 / Math.PI,
+        style: { line: convertLineStyle(cmd.rawOptions) }
+    };
+}
+
+// [shift={(x,y)}] plot[domain=a:b,variable=\t](...)
+function extractArc(cmd, ctx) {
+    if (itemTypes(cmd) !== 'plot') return null;
+    const plot = cmd.items[0], radius = circularRadius(plot), domain = plotDomain(plot, cmd);
+    if (radius === null || !domain) return null;
+    const shift = shiftOf(cmd) || { x: 0, y: 0 };
+    return {
+        kind: 'arc', center: ctx.ref(shift.x, shift.y), radius,
+        start: domain[0] * 180 / Math.PI, end: domain[1] * 180 / Math.PI,
+        style: { line: convertLineStyle(cmd.rawOptions) }
+    };
+}
+
+// [shift={(x,y)}] (a:r) arc (a:b:r)（GeoGebra 的双弧、三弧角标记）
+function extractPolarArc(cmd, ctx) {
+    if (itemTypes(cmd) !== 'coord arc') return null;
+    const [from, arc] = cmd.items;
+    if (typeof from.angle !== 'number' || from.radius !== arc.radius || from.angle !== arc.start || typeof arc.radius !== 'number') return null;
+    const shift = shiftOf(cmd) || { x: 0, y: 0 };
+    return {
+        kind: 'arc', center: ctx.ref(shift.x, shift.y), radius: arc.radius,
+        start: arc.start, end: arc.end, style: { line: convertLineStyle(cmd.rawOptions) }
+    };
+}
+
+// plot(\x,{f(\x)})，包括 GeoGebra 以 rotate around/xshift/yshift 输出的抛物线
+function extractFunctionPlot(cmd, ctx) {
+    if (itemTypes(cmd) !== 'plot') return null;
+    const plot = cmd.items[0];
+    if (!plot.expr || plot.expr.length !== 2 || plot.expr[0] !== '\\x') return null;
+    const domain = plotDomain(plot, cmd);
+    if (!domain) return null;
+
+    const expr = plot.expr[1].replace(/^\{([\s\S]*)\}$/, '$1');
+    // ln 的定义域从 0 起时右移一个输出精度单位，四舍五入后不会写成 ln(0)
+    const step = 10 ** -ctx.precision;
+    if (/ln\s*\(/i.test(expr) && Math.abs(parseFloat(domain[0])) < step) domain[0] = step;
+
+    const transform = {};
+    const rotate = cmd.options.get('rotate around');
+    const rotateMatch = typeof rotate === 'string' && rotate.match(/^\{([^:]+):\(([^,]+),([^)]+)\)\}$/);
+    if (rotateMatch) transform.rotate = { angle: parseNumber(rotateMatch[1]), x: parseNumber(rotateMatch[2]), y: parseNumber(rotateMatch[3]) };
+    const xshift = parseFloat(cmd.options.get('xshift')) || 0, yshift = parseFloat(cmd.options.get('yshift')) || 0;
+    if (xshift || yshift) transform.shift = { x: xshift, y: yshift };
+
+    return { kind: 'function', expr, domain, transform, style: { line: convertLineStyle(cmd.rawOptions) } };
+}
+
+// plot[parametric] function{x(t), y(t)}（GeoGebra 的贝塞尔曲线）
+function extractParametricPlot(cmd) {
+    if (itemTypes(cmd) !== 'plot' || cmd.items[0].parametric === undefined) return null;
+    const parts = splitTopLevel(cmd.items[0].parametric, ',');
+    if (parts.length !== 2) return null;
+    const [xExpr, yExpr] = parts.map(e => e.trim()
+        .replace(/t\*\*\((\d+)\)/g, '\\t^$1')
+        .replace(/\(1-t\)\*\*\((\d+)\)/g, '(1-\\t)^$1')
+        .replace(/([ (+\-*/,])t(?!\w)/g, '$1\\t')
+        .replace(/^t(?!\w)/, '\\t'));
+    return { kind: 'parametric', x: xExpr, y: yExpr, style: { line: convertLineStyle(cmd.rawOptions) } };
+}
+
+function extractCircle(cmd, ctx) {
+    const [center, circle] = cmd.items;
+    if (cmd.items.length !== 2 || !isCoord(center) || !circle || circle.type !== 'circle') return null;
+    if (/pt\s*$/.test(circle.radius) || !NUMBER_RE.test(circle.radius.replace(/cm\s*$/, ''))) return null;
+    return { kind: 'circle', center: ctx.ref(center.x, center.y), radius: parseFloat(circle.radius), style: { line: convertLineStyle(cmd.rawOptions) } };
+}
+
+function extractEllipse(cmd, ctx) {
+    const [center, ellipse] = cmd.items;
+    if (cmd.items.length !== 2 || !isCoord(center) || !ellipse || ellipse.type !== 'ellipse' || ellipse.ry === undefined) return null;
+    let rotate = null;
+    const rotateOpt = cmd.options.get('rotate around');
+    const rotateMatch = typeof rotateOpt === 'string' && rotateOpt.match(/^\{([^:]+):\(([^,]+),([^)]+)\)\}$/);
+    if (rotateMatch) rotate = { angle: parseFloat(rotateMatch[1]), center: ctx.ref(rotateMatch[2], rotateMatch[3]) };
+    return {
+        kind: 'ellipse', center: ctx.ref(center.x, center.y),
+        rx: parseNumber(ellipse.rx), ry: parseNumber(ellipse.ry), rotate,
+        style: { line: convertLineStyle(cmd.rawOptions) }
+    };
+}
+
+// (a) -- (b) -- ... [-- cycle]：线段、折线与多边形；\fill 得到填充区域
+// 带 shift 时坐标相对平移后的原点；GeoGebra 角的短线标记写作 [shift={(x,y)}] (a:r1) -- (a:r2)
+function extractPath(cmd, ctx) {
+    const items = cmd.items;
+    const shift = shiftOf(cmd) || { x: 0, y: 0 };
+    const polar = item => item && item.type === 'coord' && !item.relative && typeof item.angle === 'number' && typeof item.radius === 'number';
+    const position = item => {
+        if (isCoord(item)) return ctx.ref(item.x + shift.x, item.y + shift.y);
+        const a = item.angle * Math.PI / 180;
+        return ctx.ref(shift.x + item.radius * Math.cos(a), shift.y + item.radius * Math.sin(a));
+    };
+    if (items.length < 3 || !(isCoord(items[0]) || polar(items[0]))) return null;
+    const points = [position(items[0])];
+    let cycle = false;
+    for (let i = 1; i < items.length; i += 2) {
+        if (!isOp(items[i], '--')) return null;
+        const next = items[i + 1];
+        if (next && next.type === 'cycle' && i + 2 === items.length) { cycle = true; break; }
+        if (!isCoord(next) && !polar(next)) return null;
+        points.push(position(next));
+    }
+
+    const line = convertLineStyle(cmd.rawOptions);
+    const opacity = parseFloat(cmd.options.get('fill opacity'));
+    const fillStyle = isNaN(opacity) ? {} : { opacity };
+    if (cmd.command === 'fill') return { kind: 'fill', points, style: fillStyle };
+    if (cmd.command === 'filldraw' || (cmd.options.has('fill') && cycle))
+        return { kind: 'path', points, cycle, style: { line, fill: true, ...fillStyle } };
+    return { kind: 'path', points, cycle, style: { line } };
+}
+
+const EXTRACTORS = [
+    extractAngle, extractRightAngle, extractSector, extractArc, extractPolarArc, extractFunctionPlot, extractParametricPlot,
+    extractCircle, extractEllipse, extractPath
+];
+
+// ─── 等长与等角标记 ─────────────────────────────────────
+//
+// GeoGebra 把线段的等长标记导出为穿过线段中点的短线，把角的双弧、三弧导出为同一顶点、
+// 同一角度范围、半径相近的额外圆弧，角上的短线则沿半径方向穿过圆弧。识别后记在所属元素上
+// （ticks: 短线条数，arcs: 额外圆弧的半径），输出时用 decorations.markings 样式画出。
+// drawn 为 [{ el, cmd }]，返回被合并的项 → 报告备注。
+
+function attachMarks(drawn, scene) {
+    const pos = r => typeof r === 'string' ? scene.coordinates.get(r) : r;
+    const merged = new Map();
+    const angles = drawn.filter(d => d.el.kind === 'angle');
+    const segments = drawn.filter(d => d.el.kind === 'path' && d.el.points.length === 2 && !d.el.cycle && !d.el.style.fill);
+
+    for (const d of drawn) {
+        if (d.el.kind !== 'arc') continue;
+        const c = pos(d.el.center);
+        const owner = angles.find(({ el }) => {
+            const v = pos(el.vertex);
+            const ratio = d.el.radius / el.radius;
+            return Math.hypot(v.x - c.x, v.y - c.y) < 1e-6 && Math.abs(ratio - 1) > 1e-6 && ratio > 0.5 && ratio < 1.5 &&
+                angularDistance(el.start, d.el.start) < 0.5 && angularDistance(el.end, d.el.end) < 0.5;
         });
-        return { hasParametricPlots: plots.length > 0, plots };
-    } catch (error) {
-        return { hasParametricPlots: false, plots: [] };
+        if (!owner) continue;
+        owner.el.arcs = [...(owner.el.arcs || []), d.el.radius];
+        merged.set(d, `→ 行 ${owner.cmd.line} 的角标记`);
     }
+
+    for (const t of segments) {
+        if (t.el.points.some(p => typeof p === 'string') || t.el.style.arrow) continue;
+        const [p, q] = t.el.points;
+        const l = Math.hypot(q.x - p.x, q.y - p.y);
+        if (l === 0) continue;
+        const m = { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 }, dir = { x: (q.x - p.x) / l, y: (q.y - p.y) / l };
+
+        // 线段：短线中点落在线段中部，且与线段大致垂直
+        let owner = null, best = Infinity;
+        for (const s of segments) {
+            if (s === t || merged.has(s)) continue;
+            const [a, b] = s.el.points.map(pos);
+            const L = Math.hypot(b.x - a.x, b.y - a.y);
+            if (l > L / 4) continue;
+            const u = { x: (b.x - a.x) / L, y: (b.y - a.y) / L };
+            const along = ((m.x - a.x) * u.x + (m.y - a.y) * u.y) / L;
+            const off = Math.abs((m.x - a.x) * u.y - (m.y - a.y) * u.x);
+            if (along < 0.3 || along > 0.7 || off > l / 4 || Math.abs(dir.x * u.x + dir.y * u.y) > 0.5) continue;
+            if (off < best) { owner = s; best = off; }
+        }
+        // 角：短线中点落在某条圆弧上、角度范围内，且沿半径方向
+        if (!owner) {
+            owner = angles.find(({ el }) => {
+                const v = pos(el.vertex), r = Math.hypot(m.x - v.x, m.y - v.y);
+                if (r === 0 || l > el.radius / 2 || ![el.radius, ...(el.arcs || [])].some(arc => Math.abs(arc - r) < l / 2)) return false;
+                const radial = Math.abs(dir.x * (m.x - v.x) + dir.y * (m.y - v.y)) / r;
+                const at = Math.atan2(m.y - v.y, m.x - v.x) * 180 / Math.PI;
+                return radial > 0.8 && normalizeDegrees(at - el.start) < normalizeDegrees(el.end - el.start);
+            }) || null;
+        }
+        if (!owner) continue;
+        owner.el.ticks = (owner.el.ticks || 0) + 1;
+        merged.set(t, `→ 行 ${owner.cmd.line} 的${owner.el.kind === 'angle' ? '角标记' : '等长标记'}`);
+    }
+    return merged;
 }
 
-// ─── 主清洗函数 ──────────────────────────────────────────
+// ─── 点与标签匹配 ───────────────────────────────────────
+//
+// GeoGebra 把点标签画在点附近的偏移位置。每个标签匹配距离最近、且在容差内的点标记；
+// 容差随图形尺寸缩放。距离相近的候选只给出警告，不静默猜测。
+// 没有标签的点命名为 P1、P2…；找不到点的标签作为文本标签原样保留。
 
-function cleanTikZCode(code, opts = {}) {
-    const shouldRound    = opts.round   !== false;
-    const includePoints  = opts.points  !== false;
-    const includeLabels  = opts.labels  !== false;
+function coordinateName(text) {
+    return text.replace(/[\\{}$\s]/g, '');
+}
 
-    const tikzMatch = code.match(/\\begin\{tikzpicture\}([\s\S]*?)\\end\{tikzpicture\}/);
-    if (!tikzMatch) throw new Error('未找到 tikzpicture 环境');
+// GeoGebra 把标签放在点右上方约 (0.14, 0.37) 处（距离约 0.4），容差不小于此偏移；大图形再按对角线放宽
+const LABEL_TOLERANCE = 0.6;
+
+function associateLabels(scene, markers, labels, textLabels) {
+    const xs = markers.map(m => m.x), ys = markers.map(m => m.y);
+    const diag = markers.length > 1
+        ? Math.hypot(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys))
+        : 0;
+    const tolerance = Math.max(diag * 0.08, LABEL_TOLERANCE);
+    const dist = (l, m) => Math.hypot(l.at.x - m.x, l.at.y - m.y);
+
+    // 所有容差内的 (标签, 点) 对按距离从近到远贪心匹配
+    const pairs = [];
+    labels.forEach((l, li) => markers.forEach((m, mi) => {
+        const d = dist(l, m);
+        if (d <= tolerance) pairs.push({ li, mi, d });
+    }));
+    pairs.sort((a, b) => a.d - b.d);
+
+    const labelOf = new Map(), matched = new Set();
+    for (const { li, mi } of pairs) {
+        if (matched.has(li) || labelOf.has(mi)) continue;
+        labelOf.set(mi, li);
+        matched.add(li);
+    }
 
-    // 点
-    const pointRegex = /\\draw\s*\[fill=[^\]]+\]\s*\(([^)]+)\)\s*circle\s*\(([^)]+)\);/g;
-    const nodeRegex  = /\\draw\[color=[^\]]+\]\s*\([^)]+\)\s*node\s*\{\$(?!.*\\textrm\{\\degre\})([^$]+(?:\{[^}]*\})?[^$]*)\$\}/g;
-    const pointMap = new Map();
-    const pointMatches = [...code.matchAll(pointRegex)];
-    const nodeMatches  = [...code.matchAll(nodeRegex)];
-
-    const allPoints = [];
-    pointMatches.forEach(match => {
-        const coords = match[1];
-        const formattedCoords = formatCoordinate(`(${coords})`, shouldRound);
-        allPoints.push({ original: coords, formatted: formattedCoords.slice(1, -1) });
-    });
-    allPoints.forEach((point, index) => {
-        if (index < nodeMatches.length) {
-            pointMap.set(nodeMatches[index][1], point.formatted);
+    labels.forEach((l, li) => {
+        const near = pairs.filter(p => p.li === li);
+        if (near.length > 1 && near[1].d < near[0].d * 1.5) {
+            scene.warnings.push(`标签 $${l.text}$ 与多个点距离相近 (${near.slice(0, 2).map(p => roundToThreeDecimals(p.d)).join(' / ')})，已按最近距离匹配`);
+        }
+        if (!matched.has(li)) {
+            scene.warnings.push(`标签 $${l.text}$ 附近 (容差 ${roundToThreeDecimals(tolerance)}) 没有点标记，保留为文本标签`);
+            textLabels.push({ kind: 'label', at: l.at, text: `$${l.text}$`, role: 'text', style: {} });
         }
     });
 
-    // 函数
-    const functionPlotsResult = extractFunctionPlots(code, shouldRound);
-    // 贝塞尔
-    const parametricPlotResult = extractParametricPlots(code, shouldRound);
-
-    // 文本标签
-    const textLabelRegex = /\\draw\s*\(([^)]+)\)\s*node\s*\[([^\]]+)\]\s*\{([^}]+)\};/g;
-    const textLabelMatches = [...code.matchAll(textLabelRegex)];
-    const textLabels = [];
-    textLabelMatches.forEach(match => {
-        textLabels.push({
-            coords: formatCoordinate(`(${match[1]})`, shouldRound),
-            options: match[2],
-            content: match[3]
-        });
+    const used = new Set();
+    const names = markers.map((m, mi) => {
+        if (!labelOf.has(mi)) return null;
+        const text = labels[labelOf.get(mi)].text;
+        const name = coordinateName(text);
+        if (!name || used.has(name)) {
+            scene.warnings.push(`标签 $${text}$ 无法作为坐标名（为空或重复），改用自动命名`);
+            return null;
+        }
+        used.add(name);
+        return name;
     });
 
-    // 角度标签
-    const angleLabelRegex = /\\draw\[color=([^\]]+)\]\s*\(([^)]+)\)\s*node\s*\{\$([^}]+)\\textrm\{\\degre\}\$\};/g;
-    const angleLabelMatches = [...code.matchAll(angleLabelRegex)];
-    const angleLabels = [];
-    angleLabelMatches.forEach(match => {
-        angleLabels.push({
-            color: match[1],
-            coords: formatCoordinate(`(${match[2]})`, shouldRound),
-            content: match[3]
-        });
+    let counter = 0;
+    markers.forEach((m, mi) => {
+        let name = names[mi];
+        const label = labelOf.has(mi) ? labels[labelOf.get(mi)].text : null;
+        if (!name) {
+            do { name = `P${++counter}`; } while (used.has(name) || names.includes(name));
+            used.add(name);
+        }
+        scene.coordinates.set(name, { x: m.x, y: m.y, label });
+        m.name = name;
+        if (labelOf.has(mi)) labels[labelOf.get(mi)].coordinate = name;
     });
+}
 
-    // 线段
-    const lineRegex = /\\draw\s*(\[[^\]]+\])?\s*\(([^)]+)\)\s*--\s*\(([^)]+)\);/g;
-    const lineMatches = [...code.matchAll(lineRegex)];
-
-    // 圆
-    const circleRegex = /\\draw\s*\[([^\]]*line[^\]]*)\]\s*\(([^)]+)\)\s*circle\s*\(([^)]+)\);/g;
-    const circleMatches = [...code.matchAll(circleRegex)];
-    const circles = [];
-    circleMatches.forEach(match => {
-        const options = match[1];
-        const centerCoords = match[2];
-        const radius = match[3];
-        const formattedCenter = formatCoordinate(`(${centerCoords})`, shouldRound);
-        const lineStyle = convertLineStyle(options);
-        let centerLabel = null;
-        for (const [label, coords] of pointMap) {
-            const coordStr = coords.includes('(') ? coords : `(${coords})`;
-            if (coordStr.includes(centerCoords.trim()) || formattedCenter.includes(coords)) {
-                centerLabel = label; break;
-            }
+// 角度值标签（62.78°）归入所在角域内顶点最近的角，改为放在该角的平分线上
+function anchorAngleLabels(scene, labels) {
+    const pos = r => typeof r === 'string' ? scene.coordinates.get(r) : r;
+    const angles = scene.elements.filter(e => e.kind === 'angle');
+    for (const l of labels) {
+        if (l.role !== 'angle') continue;
+        let owner = null, best = Infinity;
+        for (const a of angles) {
+            const v = pos(a.vertex), d = Math.hypot(l.at.x - v.x, l.at.y - v.y);
+            const sweep = normalizeDegrees(a.end - a.start) || 360;
+            const at = Math.atan2(l.at.y - v.y, l.at.x - v.x) * 180 / Math.PI;
+            const inside = normalizeDegrees(at - a.start + 10) <= sweep + 20;
+            if (inside && d < Math.max(4 * a.radius, 1.5) && d < best) { owner = a; best = d; }
         }
-        circles.push({
-            center: centerLabel ? `(${centerLabel})` : formattedCenter,
-            radius: shouldRound ? roundToThreeDecimals(parseFloat(radius)) + (radius.includes('cm') ? 'cm' : '') : radius,
-            lineStyle
-        });
-    });
+        if (!owner) continue;
+        l.at = owner.vertex;
+        l.bisector = {
+            angle: owner.start + (normalizeDegrees(owner.end - owner.start) || 360) / 2,
+            distance: owner.right ? owner.radius * Math.SQRT2 : owner.radius
+        };
+    }
+}
 
-    // 圆弧
-    const arcRegex = /\\draw\s*(\[[^\]]*\])?\s*plot\[domain=([^:]+):([^,]+),variable=\\t\]\(\{1\*([^\*]+)\*cos\(\\t r\)\+0\*[^\*]+\*sin\(\\t r\)\},\{0\*[^\*]+\*cos\(\\t r\)\+1\*[^\*]+\*sin\(\\t r\)\}\);/g;
-    const arcMatches = [...code.matchAll(arcRegex)];
-    const arcs = [];
-    arcMatches.forEach(match => {
-        const style = match[1] || '';
-        const rv = (val) => shouldRound ? roundToThreeDecimals(parseFloat(val)) : val;
-
-        let lineStyle = '';
-        if (style.includes('dash pattern=on 1pt off 1pt on 1pt off 4pt')) lineStyle = 'dash dot';
-        else if (style.includes('dash pattern=on 1pt off 1pt')) lineStyle = 'dashed';
-        else if (style.includes('dotted')) lineStyle = 'dotted';
-
-        const shiftRegex = /shift=\{\(([^,]+),([^)]+)\)\}/;
-        const shiftMatch = style.match(shiftRegex);
-        let styleParts = [];
-        if (lineStyle) styleParts.push(lineStyle);
-        if (shiftMatch) styleParts.push(`shift={(${rv(shiftMatch[1])},${rv(shiftMatch[2])})}`);
-        styleParts.push('smooth');
-        let newStyle = styleParts.length > 0 ? '[' + styleParts.join(', ') + ']' : '';
-
-        arcs.push({ style: newStyle, startAngle: rv(match[2]), endAngle: rv(match[3]), radius: rv(match[4]) });
-    });
+// ─── 主清洗函数 ──────────────────────────────────────────
 
-    // 扇形
-    const sectorRegex = /\\draw\s*\[shift=\{\(([^,]+),([^)]+)\)\}[^\]]*\]\s*\(0,0\)\s*--\s*plot\[domain=([^:]+):([^,\]]+),variable=\\t\]\(\{1\*([^\*]+)\*cos\(\\t r\)\+0\*[^\*]+\*sin\(\\t r\)\},\{0\*[^\*]+\*cos\(\\t r\)\+1\*[^\*]+\*sin\(\\t r\)\}\)\s*--\s*cycle\s*;/g;
-    const sectorMatches = [...code.matchAll(sectorRegex)];
-    const sectors = [];
-    sectorMatches.forEach(match => {
-        const rv = (val) => shouldRound ? roundToThreeDecimals(parseFloat(val)) : val;
-        const style = match[0].match(/\\draw\s*\[([^\]]+)\]/)[1];
-        sectors.push({
-            shiftX: rv(match[1].trim()), shiftY: rv(match[2].trim()),
-            startAngle: rv(match[3].trim()), endAngle: rv(match[4].trim()),
-            radius: rv(match[5].trim()), lineStyle: convertLineStyle(style)
-        });
-    });
+// 命令选项中的线条色与填充色（GeoGebra 导出用 color= / fill= 引用 \definecolor 的名称）
+function colorStyle(cmd, colors) {
+    const style = {};
+    const stroke = resolveColor(cmd.options.get('color') || cmd.options.get('draw'), colors);
+    const fill = resolveColor(cmd.options.get('fill'), colors);
+    if (stroke) style.color = stroke;
+    if (fill) style.fillColor = fill;
+    return style;
+}
+
+// opts.definedColors: 图形之外（如文档导言区）的 \definecolor
+function tikzToScene(code, opts = {}) {
+    const tikzMatch = /\\begin\{tikzpicture\}(\[[^\]]*\])?([\s\S]*?)\\end\{tikzpicture\}/.exec(code);
+    if (!tikzMatch) throw new Error('未找到 tikzpicture 环境');
+
+    const bodyStart = tikzMatch.index + tikzMatch[0].length - tikzMatch[2].length - '\\end{tikzpicture}'.length;
+    const firstLine = code.slice(0, bodyStart).split('\n').length;
+    const commands = splitTikZCommands(tikzMatch[2], firstLine)
+        .map(c => ({ ...parsePathCommand(c.name, c.text), foreach: c.foreach, line: c.line, source: c.source }));
+
+    const scene = createScene();
+    const ctx = { ref: (x, y) => pointRef(scene, parseFloat(x), parseFloat(y)), precision: outputSettings(opts).precision };
+    const colors = new Map([...(opts.definedColors || []), ...parseColorDefinitions(code)]);
+    const pictureOptions = parseOptions((tikzMatch[1] || '').slice(1, -1));
+
+    // 坐标轴、刻度与网格先识别出来：刻度数字和原点的 0 不是点标签
+    const axisParts = [];
+    const pgfAxis = extractPgfplotsAxis(tikzMatch[2]);
+    if (pgfAxis) {
+        axisParts.push(...pgfAxis.parts);
+        reportEntry(scene, firstLine + tikzMatch[2].slice(0, pgfAxis.index).split('\n').length - 1, 'converted', 'axes', pgfAxis.source);
+    }
+
+    // 第一遍：点标记与标签，确定命名坐标
+    const markers = [], pointLabels = [], otherLabels = [], rest = [];
+    for (const cmd of commands) {
+        const axisPart = extractAxisPart(cmd);
+        if (axisPart) {
+            axisParts.push(axisPart);
+            if (axisPart.part === 'axis' || axisPart.part === 'grid') reportEntry(scene, cmd.line, 'converted', axisPart.part === 'grid' ? 'grid' : 'axes', cmd.source);
+            else reportEntry(scene, cmd.line, 'merged', 'axes', cmd.source, axisPart.part === 'ticks' ? `→ ${axisPart.axis} 轴刻度` : '→ 原点标签');
+            continue;
+        }
+        const marker = extractPointMarker(cmd);
+        const label = marker ? null : extractLabelNode(cmd);
+        if (marker) markers.push({ ...marker, cmd });
+        else if (label && label.role === 'point') pointLabels.push({ ...label, cmd });
+        else if (label) { label.style = colorStyle(cmd, colors); otherLabels.push(label); reportEntry(scene, cmd.line, 'converted', 'label', cmd.source); }
+        else rest.push(cmd);
+    }
+
+    associateLabels(scene, markers, pointLabels, otherLabels);
+    for (const m of markers) reportEntry(scene, m.cmd.line, 'converted', 'point', m.cmd.source, `→ (${m.name})`);
+    scene.axes = assembleAxes(axisParts);
+    for (const l of pointLabels) {
+        if (l.coordinate) reportEntry(scene, l.cmd.line, 'merged', 'label', l.cmd.source, `→ (${l.coordinate}) 的标签`);
+        else reportEntry(scene, l.cmd.line, 'converted', 'label', l.cmd.source, '未匹配到点，作为文本标签');
+    }
 
-    // 椭圆
-    const ellipseRegex = /\\draw\s*\[([^\]]*)\]\s*\(([^)]+)\)\s*ellipse\s*\(([^)]+)\);/g;
-    const ellipseMatches = [...code.matchAll(ellipseRegex)];
-    const ellipses = [];
-    ellipseMatches.forEach(match => {
-        const options = match[1], centerCoords = match[2], radii = match[3];
-        const radiusParts = radii.split(' and ');
-        let xR = radiusParts[0]?.trim() || '', yR = radiusParts[1]?.trim() || '';
-        const formattedCenter = formatCoordinate(`(${centerCoords})`, shouldRound);
-        let centerLabel = null;
-        for (const [label, coords] of pointMap) {
-            const cs = coords.includes('(') ? coords : `(${coords})`;
-            if (cs.includes(centerCoords.trim()) || formattedCenter.includes(coords)) { centerLabel = label; break; }
-        }
-        let rotationAngle = 0, rotationCenter = null;
-        const rotateMatch = options.match(/rotate around=\{([^:]+):\(([^)]+)\)\}/);
-        if (rotateMatch) {
-            rotationAngle = parseFloat(rotateMatch[1]);
-            if (shouldRound) rotationAngle = roundToThreeDecimals(rotationAngle);
-            const rc = rotateMatch[2];
-            const frc = formatCoordinate(`(${rc})`, shouldRound);
-            for (const [label, coords] of pointMap) {
-                const cs = coords.includes('(') ? coords : `(${coords})`;
-                if (cs.includes(rc.trim()) || frc.includes(coords)) { rotationCenter = label; break; }
+    // 第二遍：其余几何元素；等长、等角标记最后并入所属元素
+    const processedLines = new Set(), drawn = [], clips = [];
+    for (const cmd of rest) {
+        const clip = extractClip(cmd);
+        if (clip) {
+            scene.clip = clip;
+            clips.push(cmd);
+            continue;
+        }
+        let el = null;
+        for (const extract of EXTRACTORS) if ((el = extract(cmd, ctx))) break;
+        if (!el) {
+            reportEntry(scene, cmd.line, 'dropped', null, cmd.source, '未识别的绘图命令');
+            continue;
+        }
+        if (el.kind === 'path' && el.points.length === 2 && el.points.every(p => typeof p === 'string')) {
+            const key = [...el.points].sort().join('|');
+            if (processedLines.has(key)) {
+                reportEntry(scene, cmd.line, 'merged', 'path', cmd.source, `与 ${el.points.join('--')} 重复`);
+                continue;
             }
-            if (!rotationCenter) rotationCenter = frc;
+            processedLines.add(key);
         }
-        const lineStyle = convertLineStyle(options);
-        if (shouldRound && xR && yR) {
-            const xU = xR.replace(/[0-9.\-\s]/g, ''), yU = yR.replace(/[0-9.\-\s]/g, '');
-            xR = roundToThreeDecimals(parseFloat(xR)) + xU;
-            yR = roundToThreeDecimals(parseFloat(yR)) + yU;
+        Object.assign(el.style, colorStyle(cmd, colors));
+        const arrow = arrowSpec(cmd.options, cmd.options.get('>') || pictureOptions.get('>'));
+        if (arrow) el.style.arrow = arrow;
+        const decoration = decorationOptions(cmd.options);
+        if (decoration) el.style.decoration = decoration;
+        drawn.push({ el, cmd });
+    }
+    const marks = attachMarks(drawn, scene);
+    for (const d of drawn) {
+        if (marks.has(d)) {
+            reportEntry(scene, d.cmd.line, 'merged', d.el.kind, d.cmd.source, marks.get(d));
+            continue;
         }
-        const obj = { center: centerLabel ? `(${centerLabel})` : formattedCenter, xRadius: xR, yRadius: yR, lineStyle, hasRotation: !!rotateMatch };
-        if (rotateMatch) { obj.rotationAngle = rotationAngle; obj.rotationCenter = rotationCenter ? `(${rotationCenter})` : formattedCenter; }
-        ellipses.push(obj);
+        // 导出文件的行序即 GeoGebra 的绘制顺序
+        d.el.order = d.cmd.line;
+        scene.elements.push(d.el);
+        reportEntry(scene, d.cmd.line, 'converted', d.el.kind, d.cmd.source);
+    }
+    // 裁剪框只用于函数图像，且只有最后一个生效
+    const clipped = scene.elements.some(e => e.kind === 'function');
+    clips.forEach((cmd, i) => {
+        if (i < clips.length - 1) reportEntry(scene, cmd.line, 'ignored', 'clip', cmd.source, '被后面的裁剪框取代');
+        else if (clipped) reportEntry(scene, cmd.line, 'converted', 'clip', cmd.source);
+        else reportEntry(scene, cmd.line, 'ignored', 'clip', cmd.source, '没有函数图像，裁剪框未输出');
     });
+    anchorAngleLabels(scene, otherLabels);
+    scene.report.sort((a, b) => a.line - b.line);
+
+    // 点标记与点标签；点的颜色取标记的填充色
+    const pointColors = new Map(), labelColors = new Map(), pointLines = new Map();
+    for (const m of markers) {
+        const { color, fillColor } = colorStyle(m.cmd, colors);
+        if (fillColor || color) pointColors.set(m.name, fillColor || color);
+        pointLines.set(m.name, m.cmd.line);
+    }
+    for (const l of pointLabels) {
+        const { color } = colorStyle(l.cmd, colors);
+        if (l.coordinate && color) labelColors.set(l.coordinate, color);
+    }
+    for (const [name, c] of scene.coordinates) {
+        scene.elements.push({ kind: 'point', at: name, style: pointColors.has(name) ? { color: pointColors.get(name) } : {}, order: pointLines.get(name) });
+        if (c.label) {
+            const style = labelColors.has(name) ? { color: labelColors.get(name) } : {};
+            scene.elements.push({ kind: 'label', at: name, text: `$${c.label}$`, role: 'point', style });
+        }
+    }
+    scene.elements.push(...otherLabels);
 
-    // 角度标记
-    const angleRegex = /\\draw\s*\[shift=\{\(([^,]+),([^)]+)\)\}[^\]]*\]\s*\(0,0\)\s*--\s*\(([^:]+):([^)]+)\)\s*arc\s*\(([^:]+):([^)]+):([^)]+)\)\s*--\s*cycle;/g;
-    const angleMatches = [...code.matchAll(angleRegex)];
-    const angles = [];
-    angleMatches.forEach(match => {
-        const cX = match[1].trim(), cY = match[2].trim();
-        const formattedCenter = formatCoordinate(`(${cX},${cY})`, shouldRound);
-        let centerLabel = null;
-        for (const [label, coords] of pointMap) {
-            const cs = coords.includes('(') ? coords : `(${coords})`;
-            if (cs.includes(`${cX},${cY}`) || formattedCenter.includes(coords)) { centerLabel = label; break; }
-        }
-        const rv = (v) => shouldRound ? roundToThreeDecimals(parseFloat(v)) : v;
-        angles.push({
-            center: centerLabel ? `(${centerLabel})` : formattedCenter,
-            startAngle: rv(match[3].trim()), endAngle: rv(match[6].trim()), radius: rv(match[4].trim())
-        });
-    });
+    return scene;
+}
+
+function cleanTikZ(code, opts = {}) {
+    return sceneResult(tikzToScene(code, opts), opts);
+}
+
+function cleanTikZCode(code, opts = {}) {
+    return cleanTikZ(code, opts).tikz;
+}
+
+// ─── GeoGebra 表达式 ────────────────────────────────────
+//
+// 把 GeoGebra 的函数表达式（2x² - 3sin(x)、ℯ^(-x)、log(2, x) ...）解析为语法树，
+// 再分别输出为 pgfmath 表达式与用于采样的 JS 函数。
+// pgfmath 的三角函数以角度为单位，因此弧度参数包在 deg(...) 中，反三角函数的结果包在 rad(...) 中。
+
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-' };
+
+// 名称 → [pgfmath 模板, JS 实现]；模板中 # 为参数
+const GGB_FUNCTIONS = {
+    sin:  ['sin(deg(#))', Math.sin],   cos:  ['cos(deg(#))', Math.cos],   tan:  ['tan(deg(#))', Math.tan],
+    sec:  ['sec(deg(#))', x => 1 / Math.cos(x)], csc: ['cosec(deg(#))', x => 1 / Math.sin(x)],
+    cot:  ['cot(deg(#))', x => 1 / Math.tan(x)],
+    asin: ['rad(asin(#))', Math.asin], acos: ['rad(acos(#))', Math.acos], atan: ['rad(atan(#))', Math.atan],
+    sinh: ['sinh(#)', Math.sinh],      cosh: ['cosh(#)', Math.cosh],      tanh: ['tanh(#)', Math.tanh],
+    sqrt: ['sqrt(#)', Math.sqrt],      exp:  ['exp(#)', Math.exp],        abs:  ['abs(#)', Math.abs],
+    ln:   ['ln(#)', Math.log],         lg:   ['log10(#)', Math.log10],    ld:   ['log2(#)', Math.log2],
+    floor: ['floor(#)', Math.floor],   ceil: ['ceil(#)', Math.ceil],      round: ['round(#)', Math.round],
+    sgn:  ['sign(#)', Math.sign],      cbrt: ['(sign(#)*abs(#)^(1/3))', Math.cbrt]
+};
+const GGB_ALIASES = { arcsin: 'asin', arccos: 'acos', arctan: 'atan', log: 'ln', sign: 'sgn', cosec: 'csc' };
+const GGB_CONSTANTS = { 'π': 'pi', pi: 'pi', 'ℯ': 'e', e: 'e' };
 
-    // ─── 组装输出 ────────────────────────────────────────
-    let result = '\\begin{tikzpicture}[scale=1]\n';
+function tokenizeExpression(text) {
+    const tokens = [];
+    const re = /\s+|(\d+\.?\d*|\.\d+)|([A-Za-zπℯ]+)|([⁻⁰¹²³⁴⁵⁶⁷⁸⁹]+)|([-+−*·/^(),])/y;
+    let m;
+    while (re.lastIndex < text.length) {
+        const at = re.lastIndex;
+        if (!(m = re.exec(text))) throw new Error(`无法识别的字符 "${text[at]}"`);
+        if (m[1]) tokens.push({ type: 'num', value: m[1] });
+        else if (m[2]) tokens.push({ type: 'ident', value: m[2] });
+        else if (m[3]) tokens.push({ type: 'sup', value: [...m[3]].map(c => SUPERSCRIPTS[c]).join('') });
+        else if (m[4]) tokens.push({ type: 'op', value: m[4] === '−' ? '-' : m[4] === '·' ? '*' : m[4] });
+    }
+    return tokens;
+}
 
-    if (pointMap.size > 0) {
-        result += '  % 坐标点定义\n';
-        for (const [label, coords] of pointMap) {
-            result += `  \\coordinate (${label}) at ${coords.includes('(') ? coords : `(${coords})`};\n`;
+// 递归下降解析：加减 < 乘除（含隐式乘法） < 正负号 < 乘方 < 上标
+function parseExpression(text, variable = 'x') {
+    const tokens = tokenizeExpression(text);
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const isOp = (t, ...ops) => t && t.type === 'op' && ops.includes(t.value);
+    const expect = op => {
+        if (!isOp(peek(), op)) throw new Error(`缺少 "${op}"`);
+        pos++;
+    };
+    const startsPrimary = t => t && (t.type === 'num' || t.type === 'ident' || isOp(t, '('));
+
+    const sum = () => {
+        let node = product();
+        while (isOp(peek(), '+', '-')) node = { type: 'bin', op: tokens[pos++].value, left: node, right: product() };
+        return node;
+    };
+    const product = () => {
+        let node = unary();
+        for (;;) {
+            if (isOp(peek(), '*', '/')) node = { type: 'bin', op: tokens[pos++].value, left: node, right: unary() };
+            else if (startsPrimary(peek())) node = { type: 'bin', op: '*', left: node, right: power() };
+            else return node;
         }
-        result += '\n';
+    };
+    const unary = () => {
+        if (isOp(peek(), '-')) { pos++; return { type: 'neg', arg: unary() }; }
+        if (isOp(peek(), '+')) { pos++; return unary(); }
+        return power();
+    };
+    const power = () => {
+        let node = superscripts(primary());
+        if (isOp(peek(), '^')) { pos++; node = { type: 'bin', op: '^', left: node, right: unary() }; }
+        return node;
+    };
+    const superscripts = node => {
+        while (peek() && peek().type === 'sup') node = { type: 'bin', op: '^', left: node, right: { type: 'num', value: tokens[pos++].value } };
+        return node;
+    };
+    const primary = () => {
+        const t = tokens[pos++];
+        if (!t) throw new Error('表达式不完整');
+        if (t.type === 'num') return { type: 'num', value: t.value };
+        if (isOp(t, '(')) { const node = sum(); expect(')'); return node; }
+        if (t.type !== 'ident') throw new Error(`多余的 "${t.value}"`);
+        if (t.value === variable) return { type: 'var' };
+        if (GGB_CONSTANTS[t.value]) return { type: 'const', name: GGB_CONSTANTS[t.value] };
+        const name = GGB_ALIASES[t.value] || t.value;
+        if (!GGB_FUNCTIONS[name]) throw new Error(`不支持的函数或变量 "${t.value}"`);
+        // sin²(x) 即 sin(x)²
+        const exponent = peek() && peek().type === 'sup' ? tokens[pos++].value : null;
+        expect('(');
+        const args = [sum()];
+        while (isOp(peek(), ',')) { pos++; args.push(sum()); }
+        expect(')');
+        let node;
+        if (args.length === 1) node = { type: 'call', name, arg: args[0] };
+        else if (name === 'ln' && args.length === 2) {
+            // log(b, x) = ln(x) / ln(b)
+            node = { type: 'bin', op: '/', left: { type: 'call', name, arg: args[1] }, right: { type: 'call', name, arg: args[0] } };
+        } else throw new Error(`${t.value} 的参数个数不对`);
+        return exponent ? { type: 'bin', op: '^', left: node, right: { type: 'num', value: exponent } } : node;
+    };
+
+    const tree = sum();
+    if (pos < tokens.length) throw new Error(`多余的 "${tokens[pos].value}"`);
+    return tree;
+}
+
+const PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2, neg: 3, '^': 4 };
+
+// 指数为分母是奇数的常数分数（1/3、2/5 ...）时，GeoGebra 对负底数取实数根：
+// 分子为奇数时结果与底数同号，为偶数时取正。返回 'odd' | 'even'，其他指数返回 null
+function oddRoot(exponent) {
+    const constant = n => n.type === 'num' || n.type === 'const' || (n.type === 'neg' && constant(n.arg))
+        || (n.type === 'call' && constant(n.arg)) || (n.type === 'bin' && constant(n.left) && constant(n.right));
+    if (!constant(exponent)) return null;
+    const v = expressionToFunction(exponent)(0);
+    if (!isFinite(v) || Number.isInteger(v)) return null;
+    for (let q = 3; q <= 15; q += 2) {
+        const p = Math.round(v * q);
+        if (Math.abs(v * q - p) < 1e-9) return p % 2 === 0 ? 'even' : 'odd';
     }
+    return null;
+}
 
-    if (functionPlotsResult.hasFunctions) {
-        result += '  % 函数图像\n' + functionPlotsResult.scopeCode + '\n';
+function expressionToPgf(node) {
+    const wrap = (child, min) => {
+        const text = expressionToPgf(child);
+        const prec = child.type === 'bin' ? PRECEDENCE[child.op] : child.type === 'neg' ? PRECEDENCE.neg : 5;
+        return prec < min ? `(${text})` : text;
+    };
+    switch (node.type) {
+    case 'num':   return node.value;
+    case 'var':   return '\\x';
+    case 'const': return node.name;
+    case 'call':  return GGB_FUNCTIONS[node.name][0].split('#').join(expressionToPgf(node.arg));
+    // pgfmath 的负号比 ^ 结合得更紧：-x^2 要写成 -((\x)^2)
+    case 'neg':   return `-${wrap(node.arg, PRECEDENCE['^'] + 1)}`;
+    case 'bin': {
+        const prec = PRECEDENCE[node.op];
+        if (node.op === '^') {
+            // \x 会被原样展开，负数底必须加括号
+            const base = node.left.type === 'var' ? '(\\x)' : wrap(node.left, prec + 1);
+            const simple = (node.right.type === 'num' && !node.right.value.startsWith('-')) || node.right.type === 'const';
+            const exp = simple ? expressionToPgf(node.right) : `(${expressionToPgf(node.right)})`;
+            // pgfmath 对负底数的分数次幂无定义，奇数次根改写为保号的形式
+            const root = oddRoot(node.right);
+            if (root === 'odd') return `(sign(${expressionToPgf(node.left)})*abs(${expressionToPgf(node.left)})^${exp})`;
+            if (root === 'even') return `abs(${expressionToPgf(node.left)})^${exp}`;
+            return `${base}^${exp}`;
+        }
+        const right = wrap(node.right, node.op === '-' || node.op === '/' ? prec + 1 : prec);
+        return `${wrap(node.left, prec)}${node.op === '*' ? '*' : ` ${node.op} `}${right}`.replace(/ ([*/]) /g, '$1');
+    }
     }
+    throw new Error(`未知节点 ${node.type}`);
+}
 
-    if (parametricPlotResult.hasParametricPlots) {
-        result += '  % 贝塞尔曲线\n';
-        parametricPlotResult.plots.forEach(plot => {
-            const ls = plot.lineStyle ? `[${plot.lineStyle}, smooth, samples=100, domain=0:1, variable=\\t]` : '[smooth, samples=100, domain=0:1, variable=\\t]';
-            result += `  \\draw${ls} plot\n    ({${plot.xExpression}},\n     {${plot.yExpression}});\n\n`;
-        });
+function expressionToFunction(node) {
+    switch (node.type) {
+    case 'num':   { const v = parseFloat(node.value); return () => v; }
+    case 'var':   return x => x;
+    case 'const': { const v = node.name === 'pi' ? Math.PI : Math.E; return () => v; }
+    case 'call':  { const f = GGB_FUNCTIONS[node.name][1], a = expressionToFunction(node.arg); return x => f(a(x)); }
+    case 'neg':   { const a = expressionToFunction(node.arg); return x => -a(x); }
+    case 'bin': {
+        const l = expressionToFunction(node.left), r = expressionToFunction(node.right);
+        switch (node.op) {
+        case '+': return x => l(x) + r(x);
+        case '-': return x => l(x) - r(x);
+        case '*': return x => l(x) * r(x);
+        case '/': return x => l(x) / r(x);
+        case '^': {
+            const root = oddRoot(node.right);
+            if (root === 'odd') return x => Math.sign(l(x)) * Math.pow(Math.abs(l(x)), r(x));
+            if (root === 'even') return x => Math.pow(Math.abs(l(x)), r(x));
+            return x => Math.pow(l(x), r(x));
+        }
+        }
     }
+    }
+    throw new Error(`未知节点 ${node.type}`);
+}
 
-    if (lineMatches.length > 0 || circles.length > 0 || arcs.length > 0 || ellipses.length > 0 || angles.length > 0 || angleLabels.length > 0 || sectors.length > 0) {
-        result += '  % 几何元素\n';
+// 常数表达式（如 Function(f, -π, π) 的区间端点）的值
+function evaluateConstant(text) {
+    return expressionToFunction(parseExpression(text, null))(0);
+}
 
-        if (angles.length > 0) {
-            result += '  % 角度\n';
-            angles.forEach(a => {
-                result += `  \\fill [shift=${a.center}, gray!30] (0,0) -- (${a.startAngle}:${a.radius}) arc (${a.startAngle}:${a.endAngle}:${a.radius}) -- cycle;\n`;
-            });
-            result += '\n';
-        }
+// 把 "f(x) = 表达式" 翻译为 { pgf, evaluate, interval }；无法翻译时抛出错误
+// If(a ≤ x ≤ b, 表达式) 形式的限定区间放在 interval 中，否则 interval 为 null
+function translateGeoGebraExpression(text) {
+    const head = text.match(/^\s*[^=(]+\(\s*([A-Za-z]\w*)\s*\)\s*=\s*/);
+    const variable = head ? head[1] : 'x';
+    let body = (head ? text.slice(head[0].length) : text).trim(), interval = null;
+    const ifM = body.match(/^If\s*\(([\s\S]*)\)$/);
+    if (ifM) {
+        const parts = splitTopLevel(ifM[1], ',');
+        const cond = parts.length === 2 && parts[0].match(new RegExp(`^(.+?)[≤<]\\s*${variable}\\s*[≤<](.+)$`));
+        if (!cond) throw new Error('只支持 If(a ≤ x ≤ b, 表达式) 形式的条件');
+        interval = [evaluateConstant(cond[1]), evaluateConstant(cond[2])];
+        body = parts[1];
+    }
+    const tree = parseExpression(body, variable);
+    return { pgf: expressionToPgf(tree), evaluate: expressionToFunction(tree), interval };
+}
 
-        if (sectors.length > 0) {
-            result += '  % 扇形绘制\n';
-            sectors.forEach(s => {
-                const st = s.lineStyle ? `[${s.lineStyle}]` : '';
-                result += `  \\draw${st} [shift={(${s.shiftX},${s.shiftY})}] (0,0) -- plot[domain=${s.startAngle}:${s.endAngle}]({1*${s.radius}*cos(\\x r)+0*${s.radius}*sin(\\x r)},{0*${s.radius}*cos(\\x r)+1*${s.radius}*sin(\\x r)}) -- cycle;\n`;
-            });
-            if (lineMatches.length > 0) result += '\n';
+// 在 [a, b] 上采样，返回函数有定义（且数值不致使 pgfmath 溢出）的各个连续区间；
+// 相邻采样的跳变超过 jump 时检查其间是否有间断点（如 tan 的极点），有则在该处断开。
+// precision 为输出保留的小数位数
+function definedIntervals(f, a, b, jump = Infinity, precision = DEFAULT_SETTINGS.precision, samples = 400) {
+    const ok = x => { const y = f(x); return isFinite(y) && Math.abs(y) <= 1000; };
+    // 二分逼近定义域边界，并向内取到 precision 位小数，使四舍五入后的 domain 仍在定义域内
+    const scale = 10 ** precision;
+    const edge = (good, bad) => {
+        for (let i = 0; i < 40; i++) {
+            const mid = (good + bad) / 2;
+            if (ok(mid)) good = mid; else bad = mid;
         }
-
-        if (circles.length > 0) {
-            circles.forEach(c => {
-                result += c.lineStyle
-                    ? `  \\draw[${c.lineStyle}] ${c.center} circle (${c.radius});\n`
-                    : `  \\draw ${c.center} circle (${c.radius});\n`;
-            });
-            if (lineMatches.length > 0 || arcs.length > 0) result += '\n';
-        }
-
-        if (ellipses.length > 0) {
-            result += '  % 椭圆\n';
-            ellipses.forEach(e => {
-                const drawOpts = [];
-                if (e.lineStyle) drawOpts.push(e.lineStyle);
-                if (e.hasRotation) drawOpts.push(`rotate around={${e.rotationAngle}:${e.rotationCenter}}`);
-                result += drawOpts.length > 0
-                    ? `  \\draw[${drawOpts.join(', ')}] ${e.center} ellipse (${e.xRadius} and ${e.yRadius});\n`
-                    : `  \\draw ${e.center} ellipse (${e.xRadius} and ${e.yRadius});\n`;
-            });
-            if (lineMatches.length > 0 || arcs.length > 0) result += '\n';
+        const snapped = good < bad ? Math.floor(good * scale) / scale : Math.ceil(good * scale) / scale;
+        return ok(snapped) ? snapped : good;
+    };
+    // 在跳变更大的一半中继续二分：极点处跳变越分越大，连续函数的跳变则趋于 0
+    const breakBetween = (lo, hi) => {
+        let ylo = f(lo), yhi = f(hi);
+        for (let i = 0; i < 60; i++) {
+            const mid = (lo + hi) / 2;
+            if (!ok(mid)) return [edge(lo, mid), edge(hi, mid)];
+            const ym = f(mid);
+            if (Math.abs(ym - ylo) >= Math.abs(yhi - ym)) { hi = mid; yhi = ym; } else { lo = mid; ylo = ym; }
+        }
+        return Math.abs(yhi - ylo) > jump / 100 ? [lo, hi] : null;
+    };
+    const intervals = [];
+    let start = null, prev = a;
+    for (let i = 0; i <= samples; i++) {
+        const x = a + (b - a) * i / samples;
+        if (ok(x)) {
+            if (start === null) start = i === 0 ? x : edge(x, prev);
+            else if (Math.abs(f(x) - f(prev)) > jump) {
+                const cut = breakBetween(prev, x);
+                if (cut) { intervals.push([start, cut[0]]); start = cut[1]; }
+            }
+        } else if (start !== null) {
+            intervals.push([start, edge(prev, x)]);
+            start = null;
         }
+        prev = x;
+    }
+    if (start !== null) intervals.push([start, b]);
+    return intervals.filter(([s, e]) => e - s > (b - a) * 1e-6);
+}
 
-        if (arcs.length > 0) {
-            result += '  % 圆弧绘制\n';
-            arcs.forEach(arc => {
-                const s = arc.style.trim() ? arc.style : '';
-                result += `  \\draw${s} plot[domain=${arc.startAngle}:${arc.endAngle}]({1*${arc.radius}*cos(\\x r)+0*${arc.radius}*sin(\\x r)},{0*${arc.radius}*cos(\\x r)+1*${arc.radius}*sin(\\x r)});\n`;
-            });
-            if (lineMatches.length > 0) result += '\n';
+// ─── GeoGebra XML/GGB 转换 ──────────────────────────────
+
+function readGGB(buf) {
+    let eocdPos = -1;
+    for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+        if (buf.readUInt32LE(i) === 0x06054b50) { eocdPos = i; break; }
+    }
+    if (eocdPos === -1) throw new Error('无效的 GGB 文件（非 ZIP 格式）');
+
+    const cdEntries = buf.readUInt16LE(eocdPos + 10);
+    const cdOffset = buf.readUInt32LE(eocdPos + 16);
+    let pos = cdOffset;
+    for (let i = 0; i < cdEntries; i++) {
+        if (pos + 46 > buf.length || buf.readUInt32LE(pos) !== 0x02014b50) break;
+        const method   = buf.readUInt16LE(pos + 10);
+        const cSize    = buf.readUInt32LE(pos + 20);
+        const nameLen  = buf.readUInt16LE(pos + 28);
+        const extraLen = buf.readUInt16LE(pos + 30);
+        const cmtLen   = buf.readUInt16LE(pos + 32);
+        const locOff   = buf.readUInt32LE(pos + 42);
+        const name     = buf.toString('utf8', pos + 46, pos + 46 + nameLen);
+        if (name === 'geogebra.xml') {
+            const lnLen = buf.readUInt16LE(locOff + 26);
+            const leLen = buf.readUInt16LE(locOff + 28);
+            const data  = buf.slice(locOff + 30 + lnLen + leLen, locOff + 30 + lnLen + leLen + cSize);
+            if (method === 0) return data.toString('utf8');
+            if (method === 8) return zlib.inflateRawSync(data).toString('utf8');
+            throw new Error(`GGB: 不支持的压缩方法 ${method}`);
         }
+        pos += 46 + nameLen + extraLen + cmtLen;
+    }
+    throw new Error('GGB 文件中未找到 geogebra.xml');
+}
+
+// 绘图区的可见范围（取第一个 euclidianView），缺失时返回 null
+function viewWindow(xmlStr) {
+    const viewM = xmlStr.match(/<euclidianView>([\s\S]*?)<\/euclidianView>/);
+    if (!viewM) return null;
+    const attr = (tag, name) => {
+        const m = viewM[1].match(new RegExp(`<${tag}\\b[^>]*\\b${name}="([^"]+)"`));
+        return m ? parseFloat(m[1]) : NaN;
+    };
+    const width = attr('size', 'width'), height = attr('size', 'height');
+    const xZero = attr('coordSystem', 'xZero'), yZero = attr('coordSystem', 'yZero');
+    const scale = attr('coordSystem', 'scale');
+    const yscale = isNaN(attr('coordSystem', 'yscale')) ? scale : attr('coordSystem', 'yscale');
+    if ([width, height, xZero, yZero, scale, yscale].some(isNaN) || scale <= 0 || yscale <= 0) return null;
+    return {
+        x1: -xZero / scale, x2: (width - xZero) / scale,
+        y1: -(height - yZero) / yscale, y2: yZero / yscale
+    };
+}
+
+function viewScale(xmlStr) {
+    const m = xmlStr.match(/<euclidianView>[\s\S]*?<coordSystem\b[^>]*\bscale="([^"]+)"/);
+    const scale = m ? parseFloat(m[1]) : NaN;
+    return scale > 0 ? scale : null;
+}
+
+// 坐标轴与网格：<evSettings axes grid>、<axis id show label showNumbers tickStyle tickDistance>、
+// <grid distX distY>。未固定刻度间距时与 GeoGebra 一样按屏幕上不小于约 40px 取 1、2、5 × 10^k
+function viewAxes(xmlStr, win) {
+    const viewM = xmlStr.match(/<euclidianView>([\s\S]*?)<\/euclidianView>/);
+    if (!viewM || !win) return null;
+    const attrs = tag => {
+        const result = {};
+        for (const m of tag.matchAll(/(\w+)="([^"]*)"/g)) result[m[1]] = m[2];
+        return result;
+    };
+    const tagM = name => viewM[1].match(new RegExp(`<${name}\\b[^>]*>`));
+    const ev = tagM('evSettings') ? attrs(tagM('evSettings')[0]) : {};
+    const coordSystem = tagM('coordSystem') ? attrs(tagM('coordSystem')[0]) : {};
+    const grid = tagM('grid') ? attrs(tagM('grid')[0]) : {};
+    const axisTags = [...viewM[1].matchAll(/<axis\b[^>]*>/g)].map(m => attrs(m[0]));
+
+    const scale = { x: parseFloat(coordSystem.scale), y: parseFloat(coordSystem.yscale || coordSystem.scale) };
+    const autoStep = pixels => {
+        if (!(pixels > 0)) return 1;
+        const raw = 40 / pixels, base = Math.pow(10, Math.floor(Math.log10(raw)));
+        return [1, 2, 5, 10].map(k => k * base).find(step => step >= raw * (1 - 1e-9));
+    };
+    const range = { x: [win.x1, win.x2], y: [win.y1, win.y2] };
+    const axes = { x: null, y: null, grid: null };
+    ['x', 'y'].forEach((name, id) => {
+        const tag = axisTags.find(t => t.id === String(id)) || {};
+        const show = tag.show !== undefined ? tag.show === 'true' : ev.axes === 'true';
+        if (!show) return;
+        const fixed = parseFloat(tag.tickDistance);
+        axes[name] = {
+            min: range[name][0], max: range[name][1],
+            step: tag.tickStyle === '2' ? null : fixed > 0 ? fixed : autoStep(scale[name]),
+            label: tag.label || null,
+            numbers: tag.showNumbers !== 'false'
+        };
+    });
+    if (ev.grid === 'true') {
+        const dist = (key, name) => parseFloat(grid[key]) > 0 ? parseFloat(grid[key]) : (axes[name] && axes[name].step) || autoStep(scale[name]);
+        axes.grid = { x1: win.x1, y1: win.y1, x2: win.x2, y2: win.y2, xstep: dist('distX', 'x'), ystep: dist('distY', 'y') };
+    }
+    return axes.x || axes.y || axes.grid ? axes : null;
+}
+
+// 把直线 p + t·d（t ∈ [tMin, tMax]）裁剪到窗口内，返回两个端点或 null
+function clipLine(p, d, tMin, tMax, win) {
+    let t0 = tMin, t1 = tMax;
+    const edges = [[-d.x, p.x - win.x1], [d.x, win.x2 - p.x], [-d.y, p.y - win.y1], [d.y, win.y2 - p.y]];
+    for (const [q, r] of edges) {
+        if (Math.abs(q) < 1e-12) {
+            if (r < 0) return null;
+            continue;
+        }
+        const t = r / q;
+        if (q < 0) t0 = Math.max(t0, t); else t1 = Math.min(t1, t);
+    }
+    if (t0 >= t1) return null;
+    return [{ x: p.x + t0 * d.x, y: p.y + t0 * d.y }, { x: p.x + t1 * d.x, y: p.y + t1 * d.y }];
+}
+
+// 按 GeoGebra 的矩阵系数 [A0..A5] 对圆锥曲线分类：
+//   A0·x² + A1·y² + A2 + 2·A3·xy + 2·A4·x + 2·A5·y = 0
+// 返回 { type: ellipse | parabola | hyperbola | empty | degenerate, ... }，角度单位为度
+function classifyConic(matrix) {
+    const [xx, yy, k, xy, x, y] = matrix;
+    const scale = Math.max(Math.abs(xx), Math.abs(yy), Math.abs(xy));
+    if (!(scale > 0) || matrix.some(isNaN)) return { type: 'degenerate' };
+    const eps = 1e-9;
+
+    // 二次部分的特征值：l1 对应主轴方向 theta，l2 对应其垂直方向
+    const theta = Math.atan2(2 * xy, xx - yy) / 2;
+    const mean = (xx + yy) / 2, half = Math.hypot((xx - yy) / 2, xy);
+    const l1 = mean + half, l2 = mean - half;
+    const det2 = xx * yy - xy * xy;
+    const deg = rad => rad * 180 / Math.PI;
+
+    if (Math.abs(det2) <= eps * scale * scale) {
+        // 抛物线：沿 n 方向为二次项，沿 d 方向为一次项
+        const n = { x: Math.cos(theta), y: Math.sin(theta) }, d = { x: -n.y, y: n.x };
+        const gn = x * n.x + y * n.y, gd = x * d.x + y * d.y;
+        if (Math.abs(gd) <= eps * scale) return { type: 'degenerate' };
+        const s0 = -gn / l1, t0 = (gn * gn / l1 - k) / (2 * gd);
+        // 顶点处展开为 t - t0 = p·(s - s0)²，p < 0 时开口朝 -d
+        const p = -l1 / (2 * gd), sign = p < 0 ? -1 : 1;
+        return {
+            type: 'parabola',
+            vertex: { x: s0 * n.x + t0 * d.x, y: s0 * n.y + t0 * d.y },
+            p: Math.abs(p),
+            axis: deg(Math.atan2(sign * d.y, sign * d.x))
+        };
+    }
+
+    const center = { x: (xy * y - yy * x) / det2, y: (xy * x - xx * y) / det2 };
+    const kc = k + x * center.x + y * center.y;
+    if (Math.abs(kc) <= eps * Math.max(Math.abs(k), Math.abs(x * center.x), Math.abs(y * center.y), scale))
+        return { type: 'degenerate' };
+    const r1 = -kc / l1, r2 = -kc / l2;
+    if (det2 > 0) {
+        if (r1 <= 0) return { type: 'empty' };
+        return { type: 'ellipse', center, rx: Math.sqrt(r1), ry: Math.sqrt(r2), angle: deg(theta) };
+    }
+    // 双曲线：a 为实半轴（沿 axis 方向），b 为虚半轴
+    return r1 > 0
+        ? { type: 'hyperbola', center, a: Math.sqrt(r1), b: Math.sqrt(-r2), axis: deg(theta) }
+        : { type: 'hyperbola', center, a: Math.sqrt(r2), b: Math.sqrt(-r1), axis: deg(theta) + 90 };
+}
+
+// 角 ∠ABC 从 BA 逆时针转到 BC；取 <value> 对应的那一侧，没有时按 angleStyle 取优角或非优角。
+// 半径为 arcSize（像素，默认 30）；直角（emphasizeRightAngle）画成边长 arcSize/√2 的方块，不透明度为 0 时不填充。
+// decoration: 1、2 为双弧、三弧，3~5 为一至三条短线，6、7 为逆时针、顺时针箭头
+function xmlAngle(el, vEl, aEl, cEl, pixel) {
+    let start = Math.atan2(aEl.y - vEl.y, aEl.x - vEl.x) * 180 / Math.PI;
+    let sweep = normalizeDegrees(Math.atan2(cEl.y - vEl.y, cEl.x - vEl.x) * 180 / Math.PI - start) || 360;
+    const value = el.value * 180 / Math.PI;
+    const flip = !isNaN(value) ? Math.abs(360 - sweep - value) < Math.abs(sweep - value)
+        : el.angleStyle === 1 ? sweep > 180 : el.angleStyle === 2 ? sweep < 180 : false;
+    if (flip) { start += sweep; sweep = 360 - sweep; }
+
+    const radius = (el.arcSize || 30) * pixel;
+    if (el.emphasizeRightAngle && Math.abs(sweep - 90) < 1e-6) return { radius: radius * Math.SQRT1_2, start, end: start + 90, right: true, filled: el.alpha !== 0 };
+    const angle = { radius, start, end: start + sweep };
+    const deco = el.decoration || 0;
+    if (deco === 1 || deco === 2) angle.arcs = deco === 1 ? [radius - 4 * pixel] : [radius - 4 * pixel, radius - 8 * pixel];
+    if (deco >= 3 && deco <= 5) angle.ticks = deco - 2;
+    if (deco === 6 || deco === 7) angle.arrow = deco === 6 ? '-{Stealth}' : '{Stealth}-';
+    return angle;
+}
+
+const GREEK_LETTERS = {
+    'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'δ': 'delta', 'ε': 'varepsilon', 'ζ': 'zeta', 'η': 'eta', 'θ': 'theta',
+    'ι': 'iota', 'κ': 'kappa', 'λ': 'lambda', 'μ': 'mu', 'ν': 'nu', 'ξ': 'xi', 'π': 'pi', 'ρ': 'rho', 'σ': 'sigma',
+    'τ': 'tau', 'υ': 'upsilon', 'φ': 'varphi', 'χ': 'chi', 'ψ': 'psi', 'ω': 'omega'
+};
+
+const texName = name => name.replace(/[α-ω]/g, c => GREEK_LETTERS[c] ? `\\${GREEK_LETTERS[c]} ` : c).replace(/ (?=$|[_^}])/g, '');
+
+// labelMode: 0 名称，1 名称 = 值，2 值，3 标题，9 标题 = 值；value 为数学模式文本，数值与 GeoGebra 一样保留两位小数。
+// 标题中的 %n、%v 替换为名称与值；含 $ 的标题按 LaTeX 原样输出，否则作为普通文本转义
+function labelText(el, label, value, separator = ' = ') {
+    const name = texName(label);
+    const latex = el.caption !== undefined && el.caption.includes('$');
+    const caption = el.caption && el.caption.split(/(%[nv])/).map(part =>
+        part === '%n' ? (latex ? name : `$${name}$`) :
+        part === '%v' ? (latex ? value : `$${value}$`) :
+        latex ? part : part.replace(/[&%#_{}]/g, '\\$&')).join('');
+    switch (el.labelMode) {
+        case 1: return `$${name}${separator}${value}$`;
+        case 2: return `$${value}$`;
+        case 3: return caption || `$${name}$`;
+        case 9: return caption ? `${caption}${separator}$${value}$` : `$${name}${separator}${value}$`;
+        default: return `$${name}$`;
+    }
+}
+
+const formatValue = v => String(roundTo(v, 2));
+
+// GeoGebra 的字号为默认字号的倍数 sizeM，换算为最接近的 LaTeX 字号命令
+const FONT_SIZES = [
+    [0.6, '\\tiny'], [0.75, '\\scriptsize'], [0.85, '\\footnotesize'], [0.95, '\\small'], [1.1, ''],
+    [1.3, '\\large'], [1.6, '\\Large'], [1.9, '\\LARGE'], [2.3, '\\huge'], [Infinity, '\\Huge']
+];
+
+// GeoGebra 点标签的屏幕尺寸（像素）：从点右上方 LABEL_START 处起写，
+// 标签中心再向右半个字宽乘以字数、向上半个字高
+const LABEL_START = 4;
+const LABEL_HALF_HEIGHT = 6;
+const LABEL_HALF_CHAR_WIDTH = 4;
+
+// 文本节点的选项：起点为文本左下角；GeoGebra 的普通文本默认无衬线，LaTeX 文本按公式排版
+function textOptions(el, multiline) {
+    const font = el.font || { serif: false, size: 1, style: 0 };
+    const commands = [FONT_SIZES.find(([max]) => font.size <= max)[1]];
+    if (!font.serif && !el.isLaTeX) commands.push('\\sffamily');
+    if (font.style & 1) commands.push('\\bfseries');
+    if (font.style & 2) commands.push('\\itshape');
+    const options = ['anchor=south west'];
+    const fontCommands = commands.filter(Boolean).join('');
+    if (fontCommands) options.push(`font=${fontCommands}`);
+    if (multiline) options.push('align=left');
+    return options.join(', ');
+}
+
+// 圆的方程 (x - a)^2 + (y - b)^2 = r^2
+function circleEquation(c, r) {
+    const term = (v, x) => Math.abs(roundTo(v, 2)) === 0 ? `${x}^2` : `(${x} ${v > 0 ? '-' : '+'} ${formatValue(Math.abs(v))})^2`;
+    return `${term(c.x, 'x')} + ${term(c.y, 'y')} = ${formatValue(r * r)}`;
+}
+
+// 圆锥曲线的一般方程，如 x^2 + 4y^2 = 16；系数按最小的二次项系数化为 1，首项取正
+function conicEquation(matrix) {
+    const [xx, yy, k, xy, x, y] = matrix;
+    const quadratic = [xx, 2 * xy, yy].filter(v => Math.abs(v) > 1e-12);
+    const unit = Math.min(...quadratic.map(Math.abs)) * Math.sign(quadratic[0]);
+    const terms = [[xx, 'x^2'], [2 * xy, 'xy'], [yy, 'y^2'], [2 * x, 'x'], [2 * y, 'y']]
+        .map(([v, name]) => [roundTo(v / unit, 2), name]).filter(([v]) => v !== 0);
+    const lhs = terms.map(([v, name], i) => {
+        const coefficient = Math.abs(v) === 1 ? '' : formatValue(Math.abs(v));
+        return (i === 0 ? (v < 0 ? '-' : '') : v < 0 ? ' - ' : ' + ') + coefficient + name;
+    }).join('');
+    return `${lhs} = ${formatValue(-k / unit)}`;
+}
+
+// opts.symbolic: 依赖点输出为 calc / intersection 表达式
+function geogebraToScene(xmlStr, opts = {}) {
+    const de = s => s.replace(/&#(\d+);/g, (m, code) => String.fromCharCode(+code)).replace(/&lt;/g, '<')
+                     .replace(/&gt;/g, '>').replace(/&apos;/g, "'").replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+
+    const constrM = xmlStr.match(/<construction[^>]*>([\s\S]*?)<\/construction>/);
+    if (!constrM) throw new Error('XML 中未找到 construction 块');
+    const constr = constrM[1];
+    const scene = createScene();
+
+    // 元素所在行号（逐个递增计算）
+    const constrOffset = constrM.index + constrM[0].indexOf('>') + 1;
+    let lineIdx = 0, lineNo = 1;
+    const lineAt = idx => {
+        for (; lineIdx < idx; lineIdx++) if (xmlStr[lineIdx] === '\n') lineNo++;
+        return lineNo;
+    };
+
+    // 解析元素
+    const elements = new Map();
+    const elRe = /<element\s+type="([^"]+)"\s+label="([^"]+)">([\s\S]*?)<\/element>/g;
+    let m;
+    while ((m = elRe.exec(constr))) {
+        const label = de(m[2]), body = m[3];
+        const el = { type: m[1], label, line: lineAt(constrOffset + m.index), source: m[0].slice(0, m[0].indexOf('>') + 1) };
+
+        const showM = body.match(/<show\s+object="([^"]+)"\s+label="([^"]+)"/);
+        el.visible   = showM ? showM[1] === 'true' : false;
+        el.showLabel = showM ? showM[2] === 'true' : false;
+
+        // 点的 coords 为齐次坐标；直线、射线为方程 x·X + y·Y + z = 0 的系数；向量为分量
+        const coordsM = body.match(/<coords\s+x="([^"]+)"\s+y="([^"]+)"\s+z="([^"]+)"/);
+        if (coordsM) {
+            el.coords = coordsM.slice(1, 4).map(parseFloat);
+            if (el.type === 'point') {
+                const z = el.coords[2] || 1;
+                el.x = el.coords[0] / z;
+                el.y = el.coords[1] / z;
+            }
+        }
+        const matrixM = body.match(/<matrix\s+([^>]*)\/>/);
+        if (matrixM) {
+            el.matrix = [];
+            for (let i = 0; i < 6; i++) {
+                const a = matrixM[1].match(new RegExp(`\\bA${i}="([^"]+)"`));
+                el.matrix.push(a ? parseFloat(a[1]) : NaN);
+            }
+        }
+        const startM = body.match(/<startPoint\s+exp="([^"]+)"/);
+        if (startM) el.startPoint = de(startM[1]);
+        const startXYM = body.match(/<startPoint\s+x="([^"]+)"\s+y="([^"]+)"\s+z="([^"]+)"/);
+        if (startXYM) {
+            const [x, y, z] = startXYM.slice(1, 4).map(parseFloat);
+            el.startAt = { x: x / (z || 1), y: y / (z || 1) };
+        }
+        const screenM = body.match(/<absoluteScreenLocation\s+x="([^"]+)"\s+y="([^"]+)"/);
+        if (screenM) el.screenAt = { x: parseFloat(screenM[1]), y: parseFloat(screenM[2]) };
+
+        // 文本：<isLaTeX>、<font serif sizeM style>（style 为 1 粗体、2 斜体之和）
+        el.isLaTeX = /<isLaTeX\s+val="true"/.test(body);
+        const fontM = body.match(/<font\b([^>]*)\/>/);
+        if (fontM) {
+            const attr = name => { const a = fontM[1].match(new RegExp(`\\b${name}="([^"]+)"`)); return a ? a[1] : null; };
+            el.font = { serif: attr('serif') === 'true', size: parseFloat(attr('sizeM')) || 1, style: parseInt(attr('style')) || 0 };
+        }
+
+        // 布尔对象的 <value> 为 true / false
+        const valM = body.match(/<value\s+val="([^"]+)"/);
+        if (valM && el.type === 'boolean') el.truth = valM[1] === 'true';
+        else if (valM) el.value = parseFloat(valM[1]);
+        el.auxiliary = /<auxiliary\s+val="true"/.test(body);
+        const conditionM = body.match(/<condition\s+showObject="([^"]*)"/);
+        if (conditionM) el.condition = de(conditionM[1]);
+        const arcM = body.match(/<arcSize\s+val="([^"]+)"/);
+        if (arcM) el.arcSize = parseInt(arcM[1]);
+        // 角的朝向：angleStyle 0 为逆时针 0°~360°，1 不取优角，2 总取优角（旧版本为 allowReflexAngle、forceReflexAngle）
+        const angleStyleM = body.match(/<angleStyle\s+val="([^"]+)"/);
+        if (angleStyleM) el.angleStyle = parseInt(angleStyleM[1]);
+        else if (/<forceReflexAngle\s+val="true"/.test(body)) el.angleStyle = 2;
+        else if (/<allowReflexAngle\s+val="false"/.test(body)) el.angleStyle = 1;
+        el.emphasizeRightAngle = !/<emphasizeRightAngle\s+val="false"/.test(body);
+        const decoM = body.match(/<decoration\s+type="([^"]+)"/);
+        if (decoM) el.decoration = parseInt(decoM[1]);
+        const layerM = body.match(/<layer\s+val="([^"]+)"/);
+        if (layerM) el.layer = parseInt(layerM[1]);
+        const labelModeM = body.match(/<labelMode\s+val="([^"]+)"/);
+        if (labelModeM) el.labelMode = parseInt(labelModeM[1]);
+        const captionM = body.match(/<caption\s+val="([^"]*)"/);
+        if (captionM) el.caption = de(captionM[1]);
+
+        const colM = body.match(/<objColor[^>]+alpha="([^"]+)"/);
+        if (colM) el.alpha = parseFloat(colM[1]);
+        const rgbM = body.match(/<objColor\s+r="([^"]+)"\s+g="([^"]+)"\s+b="([^"]+)"/);
+        if (rgbM) el.color = rgbHex(...rgbM.slice(1, 4).map(parseFloat));
+
+        const lineM = body.match(/<lineStyle\s+thickness="([^"]+)"\s+type="([^"]+)"/);
+        if (lineM) { el.lineThickness = parseInt(lineM[1]); el.lineType = parseInt(lineM[2]); }
+        const offsetM = body.match(/<labelOffset\s+x="([^"]+)"\s+y="([^"]+)"/);
+        if (offsetM) el.labelOffset = { x: parseFloat(offsetM[1]), y: parseFloat(offsetM[2]) };
+
+        if (el.x !== undefined && (isNaN(el.x) || isNaN(el.y))) {
+            reportEntry(scene, el.line, 'dropped', el.type, el.source, '坐标未定义');
+            continue;
+        }
+        elements.set(label, el);
+    }
+
+    // 解析命令
+    const commands = [];
+    const cmdRe = /<command\s+name="([^"]+)">([\s\S]*?)<\/command>/g;
+    while ((m = cmdRe.exec(constr))) {
+        const cmd = { name: m[1], inputs: [], outputs: [] };
+        const inM = m[2].match(/<input\s+([^/]*)\/>/); 
+        if (inM) { const r = /a(\d+)="([^"]+)"/g; let a; while ((a = r.exec(inM[1]))) cmd.inputs[+a[1]] = de(a[2]); }
+        const outM = m[2].match(/<output\s+([^/]*)\/>/); 
+        if (outM) { const r = /a(\d+)="([^"]+)"/g; let a; while ((a = r.exec(outM[1]))) cmd.outputs[+a[1]] = de(a[2]); }
+        commands.push(cmd);
+    }
+
+    const cmdByOut = new Map();
+    for (const cmd of commands)
+        for (const lbl of cmd.outputs) if (lbl) cmdByOut.set(lbl, cmd);
+
+    const isPoint = l => elements.has(l) && elements.get(l).type === 'point' && elements.get(l).x !== undefined;
+
+    // 直线、线段、射线（含多边形的边）经过的两个命名点
+    const linePoints = label => {
+        const cmd = cmdByOut.get(label);
+        if (!cmd) return null;
+        if (['Segment', 'Line', 'Ray'].includes(cmd.name) && isPoint(cmd.inputs[0]) && isPoint(cmd.inputs[1]) && !cmd.inputs[2])
+            return [cmd.inputs[0], cmd.inputs[1]];
+        if (cmd.name === 'Polygon' && cmd.inputs.every(isPoint)) {
+            const i = cmd.outputs.indexOf(label), n = cmd.inputs.length;
+            if (i >= 1 && i <= n) return [cmd.inputs[i - 1], cmd.inputs[i % n]];
+        }
+        return null;
+    };
+
+    // 对象的当前值：点取坐标，角取度数，线段取长度，多边形取面积，数值取 <value>
+    const objectValue = label => {
+        const el = elements.get(label);
+        if (!el) return null;
+        if (el.type === 'point') return { number: null, math: `(${formatValue(el.x)}, ${formatValue(el.y)})` };
+        if (el.type === 'angle' && el.value !== undefined) {
+            const d = el.value * 180 / Math.PI;
+            return { number: d, math: `${formatValue(d)}^{\\circ}` };
+        }
+        if (el.type === 'segment' && linePoints(label)) {
+            const [p, q] = linePoints(label).map(n => elements.get(n));
+            const d = Math.hypot(q.x - p.x, q.y - p.y);
+            return { number: d, math: formatValue(d) };
+        }
+        const cmd = cmdByOut.get(label);
+        if (el.type === 'polygon' && cmd && cmd.name === 'Polygon' && cmd.inputs.every(isPoint)) {
+            const vs = cmd.inputs.map(n => elements.get(n));
+            const area = Math.abs(vs.reduce((t, v, i) => { const w = vs[(i + 1) % vs.length]; return t + v.x * w.y - w.x * v.y; }, 0)) / 2;
+            return { number: area, math: formatValue(area) };
+        }
+        if (el.value !== undefined) return { number: el.value, math: formatValue(el.value) };
+        return null;
+    };
+
+    // 外层括号只在包住整个式子时去掉
+    const unwrap = term => {
+        const wrapped = /^\(([\s\S]*)\)$/.exec(term.trim());
+        const balanced = t => { let d = 0; for (const c of t) if ((d += c === '(' ? 1 : c === ')' ? -1 : 0) < 0) return false; return d === 0; };
+        return wrapped && balanced(wrapped[1]) ? wrapped[1].trim() : term.trim();
+    };
+    // 算术式：对象名代入当前值后求值，求不出时为 null
+    const numericValue = expr => {
+        const names = [...elements.keys()].filter(n => objectValue(n) && objectValue(n).number !== null).sort((a, b) => b.length - a.length);
+        let e = expr.replace(/\b([xy])\(([^()]+)\)/g, (m, axis, p) => isPoint(p.trim()) ? `(${elements.get(p.trim())[axis]})` : m);
+        for (const n of names) e = e.replace(new RegExp(`(^|[^\\w])${n.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w'])`, 'g'), `$1(${objectValue(n).number})`);
+        try {
+            const v = evaluateConstant(e);
+            return isFinite(v) ? v : null;
+        } catch (err) {
+            return null;
+        }
+    };
+    const termValue = term => {
+        const inner = unwrap(term);
+        const call = inner.match(/^(FormulaText|LaTeX|Text)\[([\s\S]*)\]$/);
+        if (call) return termValue(call[2].split(',')[0]);
+        const coord = inner.match(/^([xy])\((.+)\)$/);
+        if (coord && isPoint(coord[2].trim())) return formatValue(elements.get(coord[2].trim())[coord[1]]);
+        const own = objectValue(inner);
+        if (own) return own.math;
+        const v = numericValue(inner);
+        return v === null ? null : formatValue(v);
+    };
+
+    // 显示条件 <condition showObject>：布尔对象、true / false、数值比较，及其 ∧ ∨ ¬ 组合；
+    // 无法求值时为 null。运算符先统一为 GeoGebra 的单字符写法
+    const CONDITION_OPERATORS = [['&&', '∧'], ['||', '∨'], ['==', '≟'], ['!=', '≠'], ['<=', '≤'], ['>=', '≥'], ['!', '¬']];
+    const COMPARISONS = {
+        '≟': (a, b) => Math.abs(a - b) < 1e-9, '≠': (a, b) => Math.abs(a - b) >= 1e-9,
+        '≤': (a, b) => a <= b + 1e-9, '≥': (a, b) => a >= b - 1e-9, '<': (a, b) => a < b, '>': (a, b) => a > b
+    };
+    const conditionHolds = exp => {
+        const inner = unwrap(CONDITION_OPERATORS.reduce((t, [from, to]) => t.split(from).join(to), exp));
+        for (const [op, combine] of [['∨', vs => vs.some(Boolean)], ['∧', vs => vs.every(Boolean)]]) {
+            const parts = splitTopLevel(inner, op);
+            if (parts.length === 1) continue;
+            const values = parts.map(conditionHolds);
+            return values.includes(null) ? null : combine(values);
+        }
+        if (inner.startsWith('¬')) {
+            const v = conditionHolds(inner.slice(1));
+            return v === null ? null : !v;
+        }
+        if (inner === 'true' || inner === 'false') return inner === 'true';
+        const el = elements.get(inner);
+        if (el && el.type === 'boolean') return el.truth === undefined ? null : el.truth;
+        for (const [op, compare] of Object.entries(COMPARISONS)) {
+            const parts = splitTopLevel(inner, op);
+            if (parts.length !== 2) continue;
+            const [a, b] = parts.map(numericValue);
+            return a === null || b === null ? null : compare(a, b);
+        }
+        return null;
+    };
+
+    // 辅助对象默认不输出（--auxiliary 时照常输出）；显示条件不成立的对象按隐藏处理，条件无法求值时照常显示
+    const hiddenBy = new Map();
+    for (const [label, el] of elements) {
+        if (!el.visible) continue;
+        let reason = null;
+        if (el.auxiliary && !opts.auxiliary) reason = '辅助对象';
+        else if (el.condition) {
+            const holds = conditionHolds(el.condition);
+            if (holds === null) scene.warnings.push(`${label} 的显示条件 ${el.condition} 无法求值，按显示处理`);
+            else if (!holds) reason = `显示条件 ${el.condition} 不成立`;
+        }
+        if (!reason) continue;
+        el.visible = el.showLabel = false;
+        hiddenBy.set(label, reason);
+    }
+
+    // 多边形边标签（排除独立绘制）
+    const polyEdges = new Set();
+    for (const cmd of commands) {
+        if (cmd.name === 'Polygon')
+            for (let i = 1; i < cmd.outputs.length; i++) if (cmd.outputs[i]) polyEdges.add(cmd.outputs[i]);
+    }
+
+    // 收集可见元素；handled 记录每个元素的处理结果，用于诊断报告
+    const handled = new Map();
+    const mark = (label, status, kind, note) => handled.set(label, { status, kind, note });
+    const refPts = new Set();
+    const lsName = t => { switch(t){ case 10: case 15: return 'dashed'; case 20: return 'dotted'; case 30: return 'dash dot'; default: return ''; } };
+    const strokeOf = el => el.color ? { line: lsName(el.lineType || 0), color: el.color } : { line: lsName(el.lineType || 0) };
+    const fillOf = el => el.color ? { opacity: el.alpha, fillColor: el.color } : { opacity: el.alpha };
+    // 绘制顺序：GeoGebra 图层，层内按构造顺序（元素在 XML 中的行号）
+    const placement = el => ({ layer: el.layer || 0, order: el.line });
+    // objectLabels: 显示标签的线段、多边形与圆锥曲线 { label, el, anchor }，坐标确定后再生成标签
+    const objectLabels = [];
+    const angles = [], angleLabels = [], fills = [], circles = [], conics = [], functions = [], arcs = [], paths = [], vectors = [];
+
+    // 线段
+    const drawnSegs = new Set();
+    for (const [label, el] of elements) {
+        if (!el.visible || el.type !== 'segment' || polyEdges.has(label)) continue;
+        const cmd = cmdByOut.get(label);
+        if (cmd && cmd.name === 'Segment' && cmd.inputs[0] && cmd.inputs[1]) {
+            refPts.add(cmd.inputs[0]); refPts.add(cmd.inputs[1]);
+            const key = [cmd.inputs[0], cmd.inputs[1]].sort().join('|');
+            if (drawnSegs.has(key)) { mark(label, 'merged', 'path', `与 ${cmd.inputs[0]}--${cmd.inputs[1]} 重复`); continue; }
+            drawnSegs.add(key);
+            paths.push({ kind: 'path', points: [cmd.inputs[0], cmd.inputs[1]], cycle: false, style: strokeOf(el), ...placement(el) });
+            if (el.showLabel) objectLabels.push({ label, el, anchor: { along: [cmd.inputs[0], cmd.inputs[1]] } });
+            mark(label, 'converted', 'path');
+        }
+    }
+
+    // 角度参数（60°、α、π/3）换算为度
+    const degreesOf = input => {
+        if (elements.has(input)) {
+            const v = elements.get(input).value;
+            return v === undefined ? null : v * 180 / Math.PI;
+        }
+        try {
+            return evaluateConstant(input.replace(/°/g, '*pi/180')) * 180 / Math.PI;
+        } catch (e) {
+            return null;
+        }
+    };
+    const numberOf = input => {
+        if (elements.has(input)) return elements.get(input).value;
+        try { return evaluateConstant(input); } catch (e) { return undefined; }
+    };
+    // 依赖点的符号表达式 { expr, deps }；表达式算出的位置与 GeoGebra 的坐标不符时放弃，退回数值坐标
+    const symbolicPoint = label => {
+        const cmd = cmdByOut.get(label);
+        if (!cmd) return null;
+        const el = elements.get(label), at = n => elements.get(n);
+        const inputs = cmd.inputs;
+        let sym = null;
+        switch (cmd.name) {
+        case 'Midpoint': {
+            const [a, b] = isPoint(inputs[0]) && isPoint(inputs[1]) ? inputs : (!inputs[1] && linePoints(inputs[0])) || [];
+            if (a) sym = { expr: `($(${a})!0.5!(${b})$)`, deps: [a, b], x: (at(a).x + at(b).x) / 2, y: (at(a).y + at(b).y) / 2 };
+            break;
+        }
+        case 'Point': {
+            // 线上的点：按 GeoGebra 的坐标求出沿 AB 的比例
+            const line = inputs.length === 1 && linePoints(inputs[0]);
+            if (!line) break;
+            const [a, b] = line.map(at), dx = b.x - a.x, dy = b.y - a.y;
+            const t = ((el.x - a.x) * dx + (el.y - a.y) * dy) / (dx * dx + dy * dy);
+            sym = { expr: `($(${line[0]})!${t}!(${line[1]})$)`, deps: line, x: a.x + t * dx, y: a.y + t * dy };
+            break;
+        }
+        case 'Intersect': {
+            const l1 = inputs.length === 2 && linePoints(inputs[0]), l2 = l1 && linePoints(inputs[1]);
+            if (!l2) break;
+            const [a, b] = l1.map(at), [c, d] = l2.map(at);
+            const den = (b.x - a.x) * (d.y - c.y) - (b.y - a.y) * (d.x - c.x);
+            if (Math.abs(den) < 1e-12) break;
+            const t = ((c.x - a.x) * (d.y - c.y) - (c.y - a.y) * (d.x - c.x)) / den;
+            sym = {
+                expr: `(intersection of ${l1[0]}--${l1[1]} and ${l2[0]}--${l2[1]})`, deps: [...l1, ...l2],
+                x: a.x + t * (b.x - a.x), y: a.y + t * (b.y - a.y)
+            };
+            break;
+        }
+        case 'Rotate': {
+            const deg = inputs[1] !== undefined ? degreesOf(inputs[1]) : null;
+            if (!isPoint(inputs[0]) || deg === null || (inputs[2] && !isPoint(inputs[2]))) break;
+            const p = at(inputs[0]), o = inputs[2] ? at(inputs[2]) : { x: 0, y: 0 };
+            const t = deg * Math.PI / 180, cos = Math.cos(t), sin = Math.sin(t);
+            sym = {
+                expr: `($(${inputs[2] || '0,0'})!1!${deg}:(${inputs[0]})$)`, deps: inputs[2] ? [inputs[2], inputs[0]] : [inputs[0]],
+                x: o.x + (p.x - o.x) * cos - (p.y - o.y) * sin, y: o.y + (p.x - o.x) * sin + (p.y - o.y) * cos
+            };
+            break;
+        }
+        case 'Dilate': {
+            const k = numberOf(inputs[1]);
+            if (!isPoint(inputs[0]) || typeof k !== 'number' || isNaN(k) || (inputs[2] && !isPoint(inputs[2]))) break;
+            const p = at(inputs[0]), o = inputs[2] ? at(inputs[2]) : { x: 0, y: 0 };
+            sym = {
+                expr: `($(${inputs[2] || '0,0'})!${k}!(${inputs[0]})$)`, deps: inputs[2] ? [inputs[2], inputs[0]] : [inputs[0]],
+                x: o.x + k * (p.x - o.x), y: o.y + k * (p.y - o.y)
+            };
+            break;
+        }
+        case 'Reflect': {
+            if (!isPoint(inputs[0]) || inputs.length !== 2) break;
+            const p = at(inputs[0]);
+            if (isPoint(inputs[1])) {
+                const m = at(inputs[1]);
+                sym = { expr: `($(${inputs[0]})!2!(${inputs[1]})$)`, deps: [inputs[0], inputs[1]], x: 2 * m.x - p.x, y: 2 * m.y - p.y };
+                break;
+            }
+            // 关于直线 AB 的对称点：P 到其在 AB 上投影的 2 倍
+            const line = linePoints(inputs[1]);
+            if (!line) break;
+            const [a, b] = line.map(at), dx = b.x - a.x, dy = b.y - a.y;
+            const t = ((p.x - a.x) * dx + (p.y - a.y) * dy) / (dx * dx + dy * dy);
+            const fx = a.x + t * dx, fy = a.y + t * dy;
+            sym = {
+                expr: `($(${inputs[0]})!2!($(${line[0]})!(${inputs[0]})!(${line[1]})$)$)`, deps: [inputs[0], ...line],
+                x: 2 * fx - p.x, y: 2 * fy - p.y
+            };
+            break;
+        }
+        case 'Translate': {
+            if (!isPoint(inputs[0])) break;
+            const p = at(inputs[0]);
+            let from = null, to = null;
+            if (isPoint(inputs[1]) && isPoint(inputs[2])) [from, to] = [inputs[1], inputs[2]];
+            else if (inputs.length === 2 && elements.has(inputs[1]) && at(inputs[1]).type === 'vector') {
+                const vcmd = cmdByOut.get(inputs[1]);
+                if (vcmd && vcmd.name === 'Vector' && isPoint(vcmd.inputs[0]) && isPoint(vcmd.inputs[1])) [from, to] = vcmd.inputs;
+                else {
+                    const [vx, vy] = at(inputs[1]).coords || [];
+                    if (!isNaN(vx) && !isNaN(vy))
+                        sym = { expr: `($(${inputs[0]})+(${vx},${vy})$)`, deps: [inputs[0]], x: p.x + vx, y: p.y + vy };
+                    break;
+                }
+            }
+            if (!from) break;
+            sym = {
+                expr: `($(${inputs[0]})+(${to})-(${from})$)`, deps: [inputs[0], from, to],
+                x: p.x + at(to).x - at(from).x, y: p.y + at(to).y - at(from).y
+            };
+            break;
+        }
+        }
+        if (!sym || sym.deps.includes(label)) return null;
+        const tolerance = 1e-6 * Math.max(1, Math.abs(el.x), Math.abs(el.y));
+        if (!(Math.abs(sym.x - el.x) <= tolerance && Math.abs(sym.y - el.y) <= tolerance)) {
+            scene.warnings.push(`点 ${label} 的 ${cmd.name} 表达式与 GeoGebra 坐标不符，改用数值坐标`);
+            return null;
+        }
+        return { expr: sym.expr, deps: sym.deps };
+    };
+
+    // 绘图区的可见范围；无 euclidianView 时退而用所有点的范围（外扩 1）
+    let win = viewWindow(xmlStr);
+    const visibleWindow = () => {
+        if (win) return win;
+        const pts = [...elements.values()].filter(e => e.type === 'point' && e.x !== undefined);
+        if (pts.length === 0) return null;
+        const xs = pts.map(e => e.x), ys = pts.map(e => e.y);
+        win = { x1: Math.min(...xs) - 1, x2: Math.max(...xs) + 1, y1: Math.min(...ys) - 1, y2: Math.max(...ys) + 1 };
+        scene.warnings.push('未找到 euclidianView，按所有点的范围裁剪');
+        return win;
+    };
+    scene.axes = viewAxes(xmlStr, win);
+    // 一个屏幕像素对应的长度（角的 arcSize 以像素为单位）；没有绘图区时按 GeoGebra 默认的 50px
+    const pixel = 1 / (viewScale(xmlStr) || 50);
+
+    // 直线与射线：裁剪到可见范围
+    for (const [label, el] of elements) {
+        if (!el.visible || (el.type !== 'line' && el.type !== 'ray')) continue;
+        const [a, b, c] = el.coords || [];
+        const norm = a * a + b * b;
+        if (!(norm > 0) || isNaN(c)) { mark(label, 'dropped', el.type, '方程未定义'); continue; }
+        if (!visibleWindow()) { mark(label, 'dropped', el.type, '缺少绘图区范围'); continue; }
+        // 方程只确定直线；射线的朝向取自定义它的第二个点或方向向量，都没有时才按方程取 (b, -a)
+        let dir = { x: b, y: -a };
+        let ends;
+        if (el.type === 'ray') {
+            const cmd = cmdByOut.get(label);
+            const startLabel = cmd && isPoint(cmd.inputs[0]) ? cmd.inputs[0] : el.startPoint;
+            if (!isPoint(startLabel)) { mark(label, 'dropped', 'ray', '缺少起点'); continue; }
+            const start = elements.get(startLabel);
+            const through = cmd && cmd.inputs[1] && elements.get(cmd.inputs[1]);
+            if (through && isPoint(cmd.inputs[1])) dir = { x: through.x - start.x, y: through.y - start.y };
+            else if (through && through.type === 'vector' && through.coords) dir = { x: through.coords[0], y: through.coords[1] };
+            if (!(Math.hypot(dir.x, dir.y) > 0)) { mark(label, 'dropped', 'ray', '方向未定义'); continue; }
+            ends = clipLine(start, dir, 0, Infinity, win);
+            // 起点在可见范围内时直接引用该点
+            if (ends && Math.abs(ends[0].x - start.x) < 1e-9 && Math.abs(ends[0].y - start.y) < 1e-9) {
+                ends[0] = startLabel;
+                refPts.add(startLabel);
+            }
+        } else {
+            ends = clipLine({ x: -a * c / norm, y: -b * c / norm }, dir, -Infinity, Infinity, win);
+        }
+        if (!ends) { mark(label, 'dropped', el.type, '不在可见范围内'); continue; }
+        paths.push({ kind: 'path', points: ends, cycle: false, style: strokeOf(el), ...placement(el) });
+        mark(label, 'converted', 'path', el.type === 'ray' ? '射线，已裁剪到可见范围' : '直线，已裁剪到可见范围');
+    }
+
+    // 向量：Vector(A, B)，或带起点的自由向量，否则从原点出发
+    for (const [label, el] of elements) {
+        if (!el.visible || el.type !== 'vector') continue;
+        const cmd = cmdByOut.get(label);
+        let from, to;
+        if (cmd && cmd.name === 'Vector' && isPoint(cmd.inputs[0]) && isPoint(cmd.inputs[1])) {
+            from = cmd.inputs[0]; to = cmd.inputs[1];
+            refPts.add(from); refPts.add(to);
+        } else {
+            const [vx, vy] = el.coords || [];
+            if (isNaN(vx) || isNaN(vy)) { mark(label, 'dropped', 'vector', '分量未定义'); continue; }
+            const start = isPoint(el.startPoint) ? elements.get(el.startPoint) : { x: 0, y: 0 };
+            from = isPoint(el.startPoint) ? el.startPoint : { x: 0, y: 0 };
+            if (typeof from === 'string') refPts.add(from);
+            to = { x: start.x + vx, y: start.y + vy };
+        }
+        vectors.push({ kind: 'vector', from, to, style: strokeOf(el), ...placement(el) });
+        mark(label, 'converted', 'vector');
+    }
+
+    // 圆锥曲线：按矩阵系数分类，与定义命令无关
+    const pointAt = (x, y) => {
+        for (const [label, el] of elements)
+            if (el.type === 'point' && Math.abs(el.x - x) < 0.001 && Math.abs(el.y - y) < 0.001) { refPts.add(label); return label; }
+        return { x, y };
+    };
+    // 局部坐标系中的曲线 y = f(x)：先平移到 origin，再绕其旋转 axis - 90°，使局部 y 轴指向 axis
+    const localPlot = (expr, origin, axis, reach, style) => {
+        let angle = ((axis - 90) % 360 + 360) % 360;
+        if (angle > 180) angle -= 360;
+        const transform = {};
+        if (Math.abs(angle) > 1e-9) transform.rotate = { angle, x: origin.x, y: origin.y };
+        if (origin.x !== 0 || origin.y !== 0) transform.shift = { x: origin.x, y: origin.y };
+        return { kind: 'function', expr, domain: [-reach, reach], transform, style };
+    };
+    // origin 到可见范围最远角的距离，曲线超出此范围的部分必然不可见
+    const farthest = (w, o) => Math.max(...[[w.x1, w.y1], [w.x1, w.y2], [w.x2, w.y1], [w.x2, w.y2]]
+        .map(([x, y]) => Math.hypot(x - o.x, y - o.y)));
+    for (const [label, el] of elements) {
+        if (!el.visible || el.type !== 'conic') continue;
+        if (!el.matrix) { mark(label, 'dropped', 'conic', '缺少矩阵系数'); continue; }
+        const conic = classifyConic(el.matrix);
+        const style = strokeOf(el);
+        // 标签放在曲线上：o 为原点，沿 angle 方向的局部坐标 (u, v)，标签朝 direction 一侧
+        const conicLabel = (o, angle, u, v, direction) => {
+            if (!el.showLabel) return;
+            const t = angle * Math.PI / 180;
+            const at = { x: o.x + u * Math.cos(t) - v * Math.sin(t), y: o.y + u * Math.sin(t) + v * Math.cos(t) };
+            objectLabels.push({ label, el, anchor: { at, position: directionPosition(direction) } });
+        };
+        if (conic.type === 'empty' || conic.type === 'degenerate') {
+            mark(label, 'dropped', 'conic', conic.type === 'empty' ? '没有实数点' : '退化的圆锥曲线');
+            continue;
+        }
+        if (conic.type === 'ellipse') {
+            const center = pointAt(conic.center.x, conic.center.y);
+            let { rx, ry, angle } = conic;
+            if (Math.abs(rx - ry) < 1e-6 * Math.max(rx, ry)) {
+                circles.push({ kind: 'circle', center, radius: rx, style, ...placement(el) });
+                if (el.showLabel) objectLabels.push({ label, el, anchor: { center, radius: rx } });
+                mark(label, 'converted', 'circle');
+                continue;
+            }
+            // rx 取长半轴，angle 归入 (-90°, 90°]；与坐标轴平行时不旋转
+            if (rx < ry) { [rx, ry] = [ry, rx]; angle += angle > 0 ? -90 : 90; }
+            if (Math.abs(Math.abs(angle) - 90) < 1e-9) { [rx, ry] = [ry, rx]; angle = 0; }
+            const rotate = Math.abs(angle) < 1e-9 ? null : { angle, center };
+            conics.push({ kind: 'ellipse', center, rx, ry, rotate, style, ...placement(el) });
+            conicLabel(conic.center, angle, rx * Math.SQRT1_2, ry * Math.SQRT1_2, angle + Math.atan2(rx, ry) * 180 / Math.PI);
+            mark(label, 'converted', 'ellipse');
+            continue;
+        }
+        const w = visibleWindow();
+        if (!w) { mark(label, 'dropped', 'conic', '缺少绘图区范围'); continue; }
+        if (conic.type === 'parabola') {
+            const reach = farthest(w, conic.vertex);
+            conics.push({ ...localPlot(`${conic.p}*(\\x)^2`, conic.vertex, conic.axis, Math.min(reach, Math.sqrt(reach / conic.p)), style), ...placement(el) });
+            conicLabel(conic.vertex, conic.axis - 90, 1 / Math.sqrt(conic.p), 1, conic.axis - 90);
+            mark(label, 'converted', 'function', '抛物线，已裁剪到可见范围');
+        } else {
+            const reach = farthest(w, conic.center);
+            const branch = `${conic.a}*sqrt(1+(\\x/${conic.b})^2)`;
+            conics.push({ ...localPlot(branch, conic.center, conic.axis, reach, style), ...placement(el) },
+                        { ...localPlot(`-${branch}`, conic.center, conic.axis, reach, style), ...placement(el) });
+            conicLabel(conic.center, conic.axis, conic.a, 0, conic.axis + 180);
+            mark(label, 'converted', 'function', '双曲线（两支），已裁剪到可见范围');
+        }
+    }
+
+    // 函数图像：表达式来自 <expression>；Function(f, a, b) 或 If(a ≤ x ≤ b, …) 限定区间，否则取可见范围
+    const expressions = new Map();
+    const exprRe = /<expression\s+label="([^"]+)"\s+exp="([^"]*)"/g;
+    while ((m = exprRe.exec(constr))) expressions.set(de(m[1]), de(m[2]));
+    for (const [label, el] of elements) {
+        if (!el.visible || el.type !== 'function') continue;
+        const cmd = cmdByOut.get(label);
+        let text = expressions.get(label), interval = null, translated;
+        try {
+            if (cmd && cmd.name === 'Function' && cmd.inputs.length === 3) {
+                text = expressions.get(cmd.inputs[0]) || cmd.inputs[0];
+                interval = [evaluateConstant(cmd.inputs[1]), evaluateConstant(cmd.inputs[2])];
+            } else if (text === undefined) {
+                mark(label, 'dropped', 'function', cmd ? `不支持的函数定义 ${cmd.name}` : '缺少表达式');
+                continue;
+            }
+            translated = translateGeoGebraExpression(text);
+        } catch (err) {
+            mark(label, 'dropped', 'function', `无法转换的表达式 ${text}: ${err.message}`);
+            continue;
+        }
+        const w = visibleWindow();
+        const [a, b] = interval || translated.interval || (w ? [w.x1, w.x2] : []);
+        if (a === undefined) { mark(label, 'dropped', 'function', '缺少绘图区范围'); continue; }
+        // 有定义的各段分别绘制，间断点（如 1/x 的极点）处断开
+        const pieces = definedIntervals(translated.evaluate, Math.min(a, b), Math.max(a, b), w ? w.y2 - w.y1 : Infinity, outputSettings(opts).precision);
+        if (pieces.length === 0) { mark(label, 'dropped', 'function', '在绘图范围内无定义'); continue; }
+        const style = strokeOf(el);
+        for (const domain of pieces) functions.push({ kind: 'function', expr: translated.pgf, domain, transform: {}, style, ...placement(el) });
+        mark(label, 'converted', 'function', pieces.length > 1 ? `在间断点处分 ${pieces.length} 段绘制` : '');
+    }
+
+    if (functions.length > 0 || conics.some(e => e.kind === 'function')) scene.clip = visibleWindow();
+
+    // 多边形：画成闭合路径；各边线型不同（或有隐藏的边）时填充与各边分开输出
+    for (const [label, el] of elements) {
+        if (!el.visible || el.type !== 'polygon') continue;
+        const cmd = cmdByOut.get(label);
+        if (!cmd || cmd.name !== 'Polygon') continue;
+        const inputs = cmd.inputs.filter(Boolean);
+        const regular = inputs.length === 3 && isPoint(inputs[0]) && isPoint(inputs[1]) && !isPoint(inputs[2]);
+        let verts;
+        if (regular) {
+            // 正多边形 Polygon(A, B, n)：顶点在 AB 左侧，逐个把边向量旋转 360°/n
+            const count = elements.has(inputs[2]) ? elements.get(inputs[2]).value : parseFloat(inputs[2]);
+            if (!(count >= 3) || count !== Math.round(count)) { mark(label, 'dropped', 'polygon', `顶点数 ${inputs[2]} 无效`); continue; }
+            const a = elements.get(inputs[0]), b = elements.get(inputs[1]);
+            const dx = b.x - a.x, dy = b.y - a.y;
+            verts = [inputs[0], inputs[1]];
+            let p = b;
+            for (let k = 1; k < count - 1; k++) {
+                const t = 2 * Math.PI * k / count;
+                p = { x: p.x + dx * Math.cos(t) - dy * Math.sin(t), y: p.y + dx * Math.sin(t) + dy * Math.cos(t) };
+                verts.push(pointAt(p.x, p.y));
+            }
+        } else if (inputs.length >= 3 && inputs.every(isPoint)) {
+            verts = inputs;
+        } else {
+            mark(label, 'dropped', 'polygon', '不支持的多边形定义');
+            continue;
+        }
+        for (const v of verts) if (typeof v === 'string') refPts.add(v);
+
+        // 第 i 条边连接 verts[i] 与 verts[i + 1]；隐藏的边为 null
+        const edges = cmd.outputs.slice(1, 1 + verts.length);
+        const edgeStyles = verts.map((v, i) => {
+            const edge = elements.get(edges[i]);
+            if (!edge) return strokeOf(el);
+            return edge.visible ? strokeOf(edge) : null;
+        });
+        const sameStroke = (a, b) => a !== null && b !== null && a.line === b.line && a.color === b.color;
+        const fillStyle = el.alpha > 0 ? { fill: true, ...fillOf(el) } : {};
+        if (edgeStyles.every(st => sameStroke(st, edgeStyles[0]))) {
+            paths.push({ kind: 'path', points: verts, cycle: true, style: { ...edgeStyles[0], ...fillStyle }, ...placement(el) });
+        } else {
+            if (el.alpha > 0) fills.push({ kind: 'fill', points: verts, style: fillOf(el), ...placement(el) });
+            // 线型相同的相邻边连成折线
+            const runs = [];
+            edgeStyles.forEach((stroke, i) => {
+                if (stroke === null) return;
+                const last = runs[runs.length - 1];
+                if (last && last.end === i && sameStroke(last.style, stroke)) last.points.push(verts[(i + 1) % verts.length]);
+                else runs.push({ kind: 'path', points: [verts[i], verts[(i + 1) % verts.length]], cycle: false, style: stroke, ...placement(el) });
+                runs[runs.length - 1].end = i + 1;
+            });
+            // 首尾两段线型相同且在第一个顶点相接时合并
+            if (runs.length > 1 && runs[runs.length - 1].end === verts.length && edgeStyles[0] !== null
+                && sameStroke(runs[0].style, runs[runs.length - 1].style)) {
+                const first = runs.shift();
+                runs[runs.length - 1].points.push(...first.points.slice(1));
+            }
+            for (const run of runs) { delete run.end; paths.push(run); }
+        }
+        mark(label, 'converted', 'path', regular ? `正 ${verts.length} 边形` : '');
+        if (el.showLabel) objectLabels.push({ label, el, anchor: { polygon: verts } });
+        edges.forEach((edge, i) => {
+            const edgeEl = edge && elements.get(edge);
+            if (!edgeEl || !edgeEl.visible) return;
+            mark(edge, 'merged', 'path', `并入多边形 ${label}`);
+            if (edgeEl.showLabel) objectLabels.push({ label: edge, el: edgeEl, anchor: { along: [verts[i], verts[(i + 1) % verts.length]] } });
+        });
+    }
+
+    // 圆弧与扇形：从命名的起点出发画 arc；end < start 时按顺时针
+    const ARC_COMMANDS = ['CircularArc', 'CircumcircularArc', 'CircularSector', 'CircumcircularSector', 'Semicircle'];
+    const angleOf = (c, p) => Math.atan2(p.y - c.y, p.x - c.x) * 180 / Math.PI;
+    for (const [label, el] of elements) {
+        if (!el.visible || el.type !== 'conicpart') continue;
+        const cmd = cmdByOut.get(label);
+        if (!cmd || !ARC_COMMANDS.includes(cmd.name)) continue;
+        const inputs = cmd.inputs.slice(0, cmd.name === 'Semicircle' ? 2 : 3);
+        if (!inputs.every(isPoint)) { mark(label, 'dropped', 'conicpart', '定义点不完整'); continue; }
+        const [p, q, r] = inputs.map(l => elements.get(l));
+        let center, from, start, end;
+        if (cmd.name === 'Semicircle') {
+            // AB 左侧的半圆，从 B 逆时针到 A
+            center = { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+            from = inputs[1];
+            start = angleOf(center, q);
+            end = start + 180;
+        } else if (cmd.name.startsWith('Circumcircular')) {
+            // 过三点的圆弧，从 A 经 B 到 C
+            const d = 2 * (p.x * (q.y - r.y) + q.x * (r.y - p.y) + r.x * (p.y - q.y));
+            if (Math.abs(d) < 1e-9) { mark(label, 'dropped', 'conicpart', '三点共线'); continue; }
+            const sq = e => e.x * e.x + e.y * e.y;
+            center = {
+                x: (sq(p) * (q.y - r.y) + sq(q) * (r.y - p.y) + sq(r) * (p.y - q.y)) / d,
+                y: (sq(p) * (r.x - q.x) + sq(q) * (p.x - r.x) + sq(r) * (q.x - p.x)) / d
+            };
+            from = inputs[0];
+            start = angleOf(center, p);
+            const ccw = a => ((a - start) % 360 + 360) % 360;
+            const toEnd = ccw(angleOf(center, r)), toMid = ccw(angleOf(center, q));
+            end = toMid < toEnd ? start + toEnd : start + toEnd - 360;
+        } else {
+            // 以 M 为圆心、从 A 逆时针转到射线 MB
+            center = inputs[0];
+            from = inputs[1];
+            start = angleOf(p, q);
+            end = angleOf(p, r);
+            if (end <= start) end += 360;
+        }
+        const c = typeof center === 'string' ? elements.get(center) : center;
+        const f = elements.get(from);
+        const radius = Math.hypot(f.x - c.x, f.y - c.y);
+        const sector = cmd.name.endsWith('Sector');
+        const style = strokeOf(el);
+        if (sector && el.alpha > 0) Object.assign(style, { fill: true }, fillOf(el));
+        if (sector && typeof center === 'string') refPts.add(center);
+        refPts.add(from);
+        arcs.push({ kind: sector ? 'sector' : 'arc', center: typeof center === 'string' ? center : c, radius, start, end, from, style, ...placement(el) });
+        mark(label, 'converted', sector ? 'sector' : 'arc');
+    }
+
+    // 角度
+    for (const [label, el] of elements) {
+        if (!el.visible || el.type !== 'angle') continue;
+        const cmd = cmdByOut.get(label);
+        if (cmd && cmd.name === 'Angle') {
+            const aEl = elements.get(cmd.inputs[0]), vEl = elements.get(cmd.inputs[1]), cEl = elements.get(cmd.inputs[2]);
+            if (!aEl || !vEl || !cEl) {
+                scene.warnings.push(`角 ${label} 的定义点不完整，已跳过`);
+                mark(label, 'dropped', 'angle', '定义点不完整');
+                continue;
+            }
+            const angle = xmlAngle(el, vEl, aEl, cEl, pixel);
+            angles.push({ kind: 'angle', vertex: cmd.inputs[1], ...angle, style: el.color ? { fillColor: el.color } : {}, ...placement(el) });
+            if (el.showLabel) {
+                const text = labelText(el, label, `${formatValue(angle.end - angle.start)}^{\\circ}`);
+                const bisector = { angle: (angle.start + angle.end) / 2, distance: angle.right ? angle.radius * Math.SQRT2 : angle.radius };
+                angleLabels.push({ kind: 'label', at: cmd.inputs[1], text, role: 'angle', bisector, style: el.color ? { color: el.color } : {} });
+            }
+            mark(label, 'converted', 'angle');
+            refPts.add(cmd.inputs[0]); refPts.add(cmd.inputs[1]); refPts.add(cmd.inputs[2]);
+        }
+    }
+
+    // GeoGebra 的文本表达式："AB = " + a、"x = " + x(A)、FormulaText(a) 等，按顶层 + 拼接。
+    // 字符串原样保留（普通文本转义 LaTeX 特殊字符），其余各项求值；无法求值的项保留原文并给出警告
+    const textContent = (exp, latex) => {
+        const terms = [];
+        let depth = 0, quoted = false, last = 0;
+        for (let i = 0; i < exp.length; i++) {
+            const c = exp[i];
+            if (c === '"') quoted = !quoted;
+            else if (quoted) continue;
+            else if (c === '(') depth++;
+            else if (c === ')') depth--;
+            else if (c === '+' && depth === 0) { terms.push(exp.slice(last, i).trim()); last = i + 1; }
+        }
+        terms.push(exp.slice(last).trim());
+        // 整个表达式不含字符串时是算术式，不按 + 拆开
+        const parts = terms.some(t => /^"[\s\S]*"$/.test(t)) ? terms : [exp.trim()];
+        const escape = t => t.replace(/\\/g, '\\textbackslash ').replace(/[&%#_{}$]/g, '\\$&').replace(/[~^]/g, '\\$&{}');
+        let text = '', warning = null;
+        for (const part of parts) {
+            const literal = part.match(/^"([\s\S]*)"$/);
+            if (literal) { text += latex ? literal[1] : escape(literal[1]); continue; }
+            const value = termValue(part);
+            if (value === null) { warning = `无法求值 ${part}`; text += latex ? part : escape(part); continue; }
+            text += latex || !/[\\^_{}]/.test(value) ? value : `$${value}$`;
+        }
+        if (text === '') return null;
+        const multiline = latex ? /\\\\/.test(text) : text.includes('\n');
+        if (!latex) text = text.replace(/\n/g, '\\\\');
+        return { text: latex ? `$${text}$` : text, multiline, warning };
+    };
+    // 文本：起点为绝对坐标、所附着的点或屏幕位置；动态文本按对象的当前值求出
+    const texts = [];
+    for (const [label, el] of elements) {
+        if (!el.visible || el.type !== 'text') continue;
+        const cmd = cmdByOut.get(label);
+        let content;
+        if (cmd && ['Text', 'FormulaText', 'LaTeX'].includes(cmd.name) && cmd.inputs[0]) content = textContent(`(${cmd.inputs[0]})`, el.isLaTeX);
+        else if (expressions.has(label)) content = textContent(expressions.get(label), el.isLaTeX);
+        if (!content) { mark(label, 'dropped', 'text', cmd ? `不支持的文本定义 ${cmd.name}` : '缺少文本内容'); continue; }
+        let at = null;
+        if (el.startPoint && isPoint(el.startPoint)) { at = el.startPoint; refPts.add(at); }
+        else if (el.startAt) at = el.startAt;
+        else if (el.screenAt && win) at = { x: win.x1 + el.screenAt.x * pixel, y: win.y2 - el.screenAt.y * pixel };
+        if (!at) { mark(label, 'dropped', 'text', el.startPoint ? `不支持的起点 ${el.startPoint}` : '缺少位置'); continue; }
+        texts.push({ kind: 'label', at, text: content.text, role: 'text', options: textOptions(el, content.multiline), style: el.color && el.color !== '000000' ? { color: el.color } : {} });
+        mark(label, 'converted', 'text', content.warning || '');
+    }
+
+    for (const [label, el] of elements)
+        if (el.type === 'point' && (el.visible || el.showLabel)) refPts.add(label);
+
+    // 符号模式：依赖点改写为引用其他点的表达式，被引用的点也要定义为坐标
+    const symbolic = new Map();
+    if (opts.symbolic) {
+        const pending = [...refPts];
+        while (pending.length > 0) {
+            const label = pending.pop();
+            if (symbolic.has(label) || !isPoint(label)) continue;
+            const sym = symbolicPoint(label);
+            if (!sym) continue;
+            symbolic.set(label, sym);
+            for (const dep of sym.deps) if (!refPts.has(dep)) { refPts.add(dep); pending.push(dep); }
+        }
+    }
+
+    const names = [...refPts]
+        .filter(label => { const el = elements.get(label); return el && el.type === 'point' && el.x !== undefined; })
+        .sort((a, b) => a.localeCompare(b));
+    for (const name of names) {
+        const el = elements.get(name);
+        const sym = symbolic.get(name);
+        scene.coordinates.set(name, sym ? { x: el.x, y: el.y, expr: sym.expr, deps: sym.deps } : { x: el.x, y: el.y });
+        mark(name, el.visible ? 'converted' : 'hidden', 'point', el.visible ? (sym ? `→ ${sym.expr}` : '') : [hiddenBy.get(name), '仅作为坐标引用'].filter(Boolean).join('，'));
+    }
+
+    // 向量终点若恰好是已命名的点，改为引用该点
+    for (const v of vectors) if (typeof v.to !== 'string') v.to = findCoordinate(scene, v.to.x, v.to.y) || v.to;
+
+    scene.elements.push(...functions, ...angles, ...fills, ...arcs, ...circles, ...conics, ...paths, ...vectors);
+    for (const name of names) {
+        const el = elements.get(name);
+        if (el.visible) scene.elements.push({ kind: 'point', at: name, style: el.color ? { color: el.color } : {}, ...placement(el) });
+    }
+    // labelOffset 为标签相对默认起写位置的屏幕偏移（像素，y 向下）；
+    // 按标签中心相对点的方向换算为 TikZ 位置，未设置时交给 placeLabels
+    const offsetPosition = (el, name) => el.labelOffset && directionPosition(Math.atan2(
+        LABEL_START - el.labelOffset.y + LABEL_HALF_HEIGHT,
+        LABEL_START + el.labelOffset.x + LABEL_HALF_CHAR_WIDTH * name.length) * 180 / Math.PI);
+    for (const name of names) {
+        const el = elements.get(name);
+        if (!el.visible && !el.showLabel) continue;
+        const text = labelText(el, name, `(${formatValue(el.x)}, ${formatValue(el.y)})`);
+        const label = { kind: 'label', at: name, text, role: 'point', style: el.color ? { color: el.color } : {} };
+        const position = offsetPosition(el, name);
+        if (position) label.position = position;
+        scene.elements.push(label);
+    }
+    scene.elements.push(...angleLabels, ...texts);
+
+    // 对象标签：线段在中点处、背离图形中心的一侧，多边形在顶点的重心，圆在右上方，其他圆锥曲线在曲线上
+    const xy = r => typeof r === 'string' ? elements.get(r) : r;
+    const pts = [...scene.coordinates.values()];
+    const middle = pts.length > 0
+        ? { x: pts.reduce((t, p) => t + p.x, 0) / pts.length, y: pts.reduce((t, p) => t + p.y, 0) / pts.length }
+        : { x: 0, y: 0 };
+    for (const { label, el, anchor } of objectLabels) {
+        const style = el.color ? { color: el.color } : {};
+        if (anchor.along) {
+            const [p, q] = anchor.along.map(xy);
+            const length = Math.hypot(q.x - p.x, q.y - p.y);
+            const at = { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+            let n = { x: -(q.y - p.y), y: q.x - p.x };
+            const side = n.x * (at.x - middle.x) + n.y * (at.y - middle.y);
+            if (side < -1e-9 || (Math.abs(side) <= 1e-9 && (n.y < 0 || (n.y === 0 && n.x > 0)))) n = { x: -n.x, y: -n.y };
+            const position = directionPosition(Math.atan2(n.y, n.x) * 180 / Math.PI);
+            scene.elements.push({ kind: 'label', at, along: anchor.along, position, text: labelText(el, label, formatValue(length)), role: 'object', style });
+        } else if (anchor.polygon) {
+            const vs = anchor.polygon.map(xy);
+            const at = { x: vs.reduce((t, v) => t + v.x, 0) / vs.length, y: vs.reduce((t, v) => t + v.y, 0) / vs.length };
+            const area = Math.abs(vs.reduce((t, v, i) => { const w = vs[(i + 1) % vs.length]; return t + v.x * w.y - w.x * v.y; }, 0)) / 2;
+            scene.elements.push({ kind: 'label', at, text: labelText(el, label, formatValue(area)), role: 'object', style });
+        } else if (anchor.at) {
+            scene.elements.push({ kind: 'label', at: anchor.at, position: anchor.position, text: labelText(el, label, conicEquation(el.matrix), ': '), role: 'object', style });
+        } else {
+            const c = xy(anchor.center), r = anchor.radius;
+            const at = { x: c.x + r * Math.SQRT1_2, y: c.y + r * Math.SQRT1_2 };
+            scene.elements.push({ kind: 'label', at, position: 'above right', text: labelText(el, label, circleEquation(c, r), ': '), role: 'object', style });
+        }
+    }
+
+    for (const [label, el] of elements) {
+        const h = handled.get(label);
+        if (h) { reportEntry(scene, el.line, h.status, h.kind, el.source, h.note); continue; }
+        if (!el.visible) { reportEntry(scene, el.line, 'hidden', el.type, el.source, hiddenBy.get(label)); continue; }
+        const cmd = cmdByOut.get(label);
+        reportEntry(scene, el.line, 'dropped', el.type, el.source,
+            cmd ? `不支持的 ${el.type} 定义 ${cmd.name}` : `不支持的元素类型 ${el.type}`);
+    }
+    scene.report.sort((a, b) => a.line - b.line);
+
+    return scene;
+}
+
+function convertGeoGebra(xmlStr, opts = {}) {
+    return sceneResult(geogebraToScene(xmlStr, opts), opts);
+}
+
+function convertGeoGebraXML(xmlStr, opts = {}) {
+    return convertGeoGebra(xmlStr, opts).tikz;
+}
+
+// ─── 标签布局 ───────────────────────────────────────────
+//
+// 点标签放在与该点相连的线段、多边形边、圆等之间最大的空隙方向上，
+// 再按估算的标签外框避开已放置的标签和其他点；孤立的点退回 getSmartLabelPosition。
+
+// 八个候选方向（度）及对应的 TikZ 位置
+const LABEL_DIRECTIONS = [
+    [0, 'right'], [45, 'above right'], [90, 'above'], [135, 'above left'],
+    [180, 'left'], [225, 'below left'], [270, 'below'], [315, 'below right']
+];
+
+const normalizeDegrees = a => ((a % 360) + 360) % 360;
+const angularDistance = (a, b) => { const d = normalizeDegrees(a - b); return Math.min(d, 360 - d); };
+
+function directionPosition(angle) {
+    return LABEL_DIRECTIONS[Math.round(normalizeDegrees(angle) / 45) % 8][1];
+}
+
+// 与点 p 相连的线在 p 处的方向（度）：线段与多边形的边、向量、角度标记与扇形所占的角域、经过 p 的圆与圆弧的切线
+function incidentDirections(scene, p) {
+    const resolve = r => typeof r === 'string' ? scene.coordinates.get(r) : r;
+    const near = (q, tol = 1e-6) => q && Math.hypot(q.x - p.x, q.y - p.y) < tol;
+    const dirs = [];
+    const toward = q => { if (q && !near(q)) dirs.push(Math.atan2(q.y - p.y, q.x - p.x) * 180 / Math.PI); };
+    // 点在线段内部（如中点 M 在 AB 上）时两个方向都有线
+    const through = (q, r) => {
+        if (!q || !r || near(q) || near(r)) return;
+        const dx = r.x - q.x, dy = r.y - q.y, length = Math.hypot(dx, dy);
+        const t = ((p.x - q.x) * dx + (p.y - q.y) * dy) / (length * length);
+        if (t > 0 && t < 1 && Math.abs((p.x - q.x) * dy - (p.y - q.y) * dx) / length < 1e-3) { toward(q); toward(r); }
+    };
+    const edges = (points, cycle) => {
+        const pts = points.map(resolve);
+        pts.forEach((q, i) => {
+            if (i < pts.length - 1 || cycle) through(q, pts[(i + 1) % pts.length]);
+            if (!near(q)) return;
+            if (i > 0 || cycle) toward(pts[(i - 1 + pts.length) % pts.length]);
+            if (i < pts.length - 1 || cycle) toward(pts[(i + 1) % pts.length]);
+        });
+    };
+    // 角域 [start, end] 内每隔 30° 取一个方向，避免标签落进角度标记或扇形
+    const span = (start, end) => {
+        const sweep = normalizeDegrees(end - start) || 360;
+        for (let a = 0; a < sweep; a += 30) dirs.push(start + a);
+        dirs.push(start + sweep);
+    };
+    const onCircle = (center, radius, start, end) => {
+        const c = resolve(center);
+        if (!c || Math.abs(Math.hypot(p.x - c.x, p.y - c.y) - radius) > 1e-3 * Math.max(1, radius)) return;
+        const a = Math.atan2(p.y - c.y, p.x - c.x) * 180 / Math.PI;
+        if (start !== undefined && normalizeDegrees(a - start) > normalizeDegrees(end - start) + 1e-3) return;
+        dirs.push(a + 90, a - 90);
+    };
+    for (const el of scene.elements) {
+        switch (el.kind) {
+            case 'path':   edges(el.points, el.cycle); break;
+            case 'fill':   edges(el.points, true); break;
+            case 'vector': edges([el.from, el.to], false); break;
+            case 'circle': onCircle(el.center, el.radius); break;
+            case 'angle':  if (near(resolve(el.vertex), 1e-3)) span(el.start, el.end); break;
+            case 'arc':
+            case 'sector':
+                if (el.kind === 'sector' && near(resolve(el.center), 1e-3)) span(el.start, el.end);
+                else onCircle(el.center, el.radius, el.start, el.end);
+                break;
+        }
+    }
+    return dirs;
+}
+
+// 候选位置按与相连线的最小夹角从大到小排序，夹角相同时靠近最大空隙中线的优先
+function candidatePositions(dirs) {
+    const sorted = dirs.map(normalizeDegrees).sort((a, b) => a - b);
+    let gap = 0, bisector = 0;
+    sorted.forEach((a, i) => {
+        const next = i + 1 < sorted.length ? sorted[i + 1] : sorted[0] + 360;
+        if (next - a > gap) { gap = next - a; bisector = a + gap / 2; }
+    });
+    const clearance = angle => Math.min(...sorted.map(d => angularDistance(angle, d)));
+    return LABEL_DIRECTIONS
+        .map(([angle, position]) => ({ position, clearance: clearance(angle), offset: angularDistance(angle, bisector) }))
+        .sort((a, b) => (b.clearance - a.clearance) || (a.offset - b.offset))
+        .map(c => c.position);
+}
+
+// 标签外框的粗略估计（单位 cm，按 10pt 字号）
+function labelBox(text, p, position) {
+    const chars = text.replace(/\\[a-zA-Z]+/g, 'x').replace(/[${}^_\s]/g, '').length;
+    const w = 0.2 * Math.max(chars, 1) + 0.1, h = 0.35;
+    const entry = LABEL_DIRECTIONS.find(([, pos]) => pos === position);
+    const dx = entry ? Math.round(Math.cos(entry[0] * Math.PI / 180)) : 0;
+    const dy = entry ? Math.round(Math.sin(entry[0] * Math.PI / 180)) : 0;
+    const cx = p.x + dx * (w / 2 + 0.05), cy = p.y + dy * (h / 2 + 0.05);
+    return { x1: cx - w / 2, y1: cy - h / 2, x2: cx + w / 2, y2: cy + h / 2 };
+}
+
+// 角平分线上的标签在顶点 p 外 distance 处
+function bisectorPoint(p, bisector) {
+    const a = bisector.angle * Math.PI / 180;
+    return { x: p.x + bisector.distance * Math.cos(a), y: p.y + bisector.distance * Math.sin(a) };
+}
+
+const boxesOverlap = (a, b) => a.x1 < b.x2 && b.x1 < a.x2 && a.y1 < b.y2 && b.y1 < a.y2;
+
+// 为每个点标签选定位置，返回 Map<标签元素, 位置>；已指定 position 的标签保持不变
+function placeLabels(scene) {
+    const resolve = r => typeof r === 'string' ? scene.coordinates.get(r) : r;
+    const labels = scene.elements.filter(e => e.kind === 'label' && resolve(e.at));
+    const allPoints = [...scene.coordinates.values()];
+    const placed = [], positions = new Map();
+
+    for (const l of labels) {
+        if (l.role === 'point' && !l.position) continue;
+        if (l.role === 'point') positions.set(l, l.position);
+        if (l.bisector) placed.push(labelBox(l.text, bisectorPoint(resolve(l.at), l.bisector), directionPosition(l.bisector.angle)));
+        else placed.push(labelBox(l.text, resolve(l.at), l.position || null));
+    }
+    for (const l of labels) {
+        if (l.role !== 'point' || l.position) continue;
+        const p = resolve(l.at);
+        const dirs = incidentDirections(scene, p);
+        let candidates;
+        if (dirs.length > 0) {
+            candidates = candidatePositions(dirs);
+        } else {
+            const smart = getSmartLabelPosition(p.x, p.y, allPoints);
+            const i = LABEL_DIRECTIONS.findIndex(([, pos]) => pos === smart);
+            candidates = LABEL_DIRECTIONS.map((_, k) => LABEL_DIRECTIONS[(i + k) % 8][1]);
+        }
+        // 其他点的标记也视为障碍；都有重叠时取重叠最少的候选
+        const obstacles = placed.concat(allPoints.filter(q => Math.hypot(q.x - p.x, q.y - p.y) > 1e-6)
+            .map(q => ({ x1: q.x - 0.04, y1: q.y - 0.04, x2: q.x + 0.04, y2: q.y + 0.04 })));
+        const overlaps = candidates.map(pos => obstacles.filter(b => boxesOverlap(b, labelBox(l.text, p, pos))).length);
+        const position = candidates[overlaps.indexOf(Math.min(...overlaps))];
+        positions.set(l, position);
+        placed.push(labelBox(l.text, p, position));
+    }
+    return positions;
+}
+
+// ─── TikZ 输出 ──────────────────────────────────────────
+
+// 输出样式的默认值，可由配置文件（.gikzrc 等）或 API 选项覆盖
+const DEFAULT_SETTINGS = {
+    scale: 1,               // tikzpicture 的 scale
+    pointRadius: '1pt',     // 点标记半径
+    pointFill: 'black',     // 点标记填充色（颜色模式下取对象颜色）
+    samples: 500,           // 函数图像的采样数
+    angleFill: 'gray!30',   // 角度标记填充
+    polygonFill: 'gray!20', // 扇形以及黑色或无颜色多边形的默认填充
+    precision: 3,           // 四舍五入保留的小数位数
+    snap: false,            // 吸附整数、分数、π 的倍数和根式：true 或容差
+    border: '5pt',          // standalone 文档的边距
+    compat: '1.15',         // \pgfplotsset{compat=...}；为 null 时不加载 pgfplots
+    preamble: []            // standalone 文档导言区追加的行
+};
+
+function outputSettings(opts) {
+    const settings = { ...DEFAULT_SETTINGS };
+    for (const key of Object.keys(settings)) if (opts[key] !== undefined) settings[key] = opts[key];
+    return settings;
+}
+
+const DEFAULT_SNAP_TOLERANCE = 1e-6;
+
+// 用 \fill 输出的元素，其填充色直接写作选项
+const FILL_KINDS = { angle: 'angleFill', fill: 'polygonFill' };
+
+// 语义样式（--styles）：元素引用 "gikz <名称>"，定义由 tikzStyles 统一输出
+const SEMANTIC_STYLES = {
+    path: 'line', vector: 'vector', circle: 'circle', ellipse: 'ellipse', arc: 'arc', sector: 'sector',
+    function: 'function', parametric: 'curve', angle: 'angle', fill: 'fill'
+};
+
+// 等长标记：在路径中点沿法向画 #1 条短线（需要 decorations.markings）
+const TICKS_STYLE = 'decoration={markings, mark=at position 0.5 with {\\foreach \\k in {1,...,#1} \\draw[xshift={(\\k-(#1+1)/2)*2pt}] (0,-3pt) -- (0,3pt);}}, postaction={decorate}';
+
+function styleDefinitions(settings = DEFAULT_SETTINGS) {
+    const r = /^(\d*\.?\d+)([a-z]*)$/.exec(settings.pointRadius);
+    const size = r ? `${2 * parseFloat(r[1])}${r[2]}` : `2*(${settings.pointRadius})`;
+    return [
+        ['point', `circle, fill=${settings.pointFill}, inner sep=0pt, minimum size=${size}`],
+        ['label', ''],
+        ['line', ''],
+        ['aux line', 'dashed'],
+        ['vector', '-{Stealth}'],
+        ['circle', ''],
+        ['ellipse', ''],
+        ['arc', ''],
+        ['sector', ''],
+        ['function', `smooth, samples=${settings.samples}`],
+        ['curve', 'smooth, samples=100'],
+        ['angle', `fill=${settings.angleFill}`],
+        ['right angle', ''],
+        ['fill', `fill=${settings.polygonFill}`],
+        ['angle label', ''],
+        ['object label', ''],
+        ['text', ''],
+        ['axis', '->'],
+        ['grid', 'help lines'],
+        ['ticks', TICKS_STYLE]
+    ];
+}
+
+// 坐标轴上的刻度位置：step 的整数倍，不含 0；整数刻度较多时用 \foreach 的 ... 写法
+function tickList(axis, num) {
+    const from = Math.ceil(axis.min / axis.step - 1e-9), to = Math.floor(axis.max / axis.step + 1e-9);
+    const side = (a, b) => {
+        if (b < a) return [];
+        const values = [];
+        for (let k = a; k <= b; k++) values.push(num(roundTo(k * axis.step, 9)));
+        if (values.length < 4 || !Number.isInteger(axis.step)) return values;
+        return [values[0], values[1], '...', values[values.length - 1]];
+    };
+    return [...side(from, Math.min(to, -1)), ...side(Math.max(from, 1), to)].join(',');
+}
+
+// 坐标轴与网格：网格、带箭头和轴标签的轴线、\foreach 刻度；两轴都标数字时在原点标 0
+function axesLines(axes, num, semantic) {
+    const lines = [];
+    const { x, y, grid } = axes;
+    if (grid) {
+        const step = grid.xstep === grid.ystep ? [`step=${num(grid.xstep)}`] : [`xstep=${num(grid.xstep)}`, `ystep=${num(grid.ystep)}`];
+        lines.push(tikzCommand('draw', [semantic ? 'gikz grid' : 'help lines', ...step], `(${num(grid.x1)},${num(grid.y1)}) grid (${num(grid.x2)},${num(grid.y2)})`));
+    }
+    // 另一条轴不经过 0 时，轴线贴着可见范围的边
+    const cross = other => other ? num(Math.min(Math.max(0, other.min), other.max)) : 0;
+    const arrow = semantic ? 'gikz axis' : '->';
+    const tick = '\\footnotesize';
+    if (x) {
+        const y0 = cross(y);
+        lines.push(tikzCommand('draw', [arrow], `(${num(x.min)},${y0}) -- (${num(x.max)},${y0}) node[below left] {$${x.label || 'x'}$}`));
+        const list = x.step ? tickList(x, num) : '';
+        if (list) lines.push(`\\foreach \\x in {${list}} \\draw[shift={(\\x,${y0})}] (0pt,2pt) -- (0pt,-2pt)${x.numbers ? ` node[below] {${tick} $\\x$}` : ''};`);
+    }
+    if (y) {
+        const x0 = cross(x);
+        lines.push(tikzCommand('draw', [arrow], `(${x0},${num(y.min)}) -- (${x0},${num(y.max)}) node[below left] {$${y.label || 'y'}$}`));
+        const list = y.step ? tickList(y, num) : '';
+        if (list) lines.push(`\\foreach \\y in {${list}} \\draw[shift={(${x0},\\y)}] (2pt,0pt) -- (-2pt,0pt)${y.numbers ? ` node[left] {${tick} $\\y$}` : ''};`);
+    }
+    if (x && y && x.step && y.step && x.numbers && y.numbers && cross(x) === 0 && cross(y) === 0)
+        lines.push(`\\node[below left] at (0,0) {${tick} $0$};`);
+    return lines;
+}
 
-        const processedLines = new Set();
-        const parseCoords = (str) => {
-            const m = str.match(/\(([^,]+),([^)]+)\)/);
-            return m ? { x: parseFloat(m[1]), y: parseFloat(m[2]) } : null;
-        };
+function tikzStyles(settings = DEFAULT_SETTINGS) {
+    return '\\tikzset{\n' + styleDefinitions(settings).map(([name, def]) => `  gikz ${name}/.style={${def}}`).join(',\n') + '\n}';
+}
 
-        lineMatches.forEach(match => {
-            const style = match[1] || '';
-            const coord1 = match[2], coord2 = match[3];
-            const convertedStyle = convertLineStyle(style);
-            let label1 = null, label2 = null;
-            const tc1 = formatCoordinate(`(${coord1})`, shouldRound);
-            const tc2 = formatCoordinate(`(${coord2})`, shouldRound);
-            const t1 = parseCoords(tc1), t2 = parseCoords(tc2);
-
-            for (const [label, coords] of pointMap) {
-                const pcs = coords.includes('(') ? coords : `(${coords})`;
-                const p = parseCoords(pcs);
-                if (p && t1 && Math.abs(p.x - t1.x) < 0.001 && Math.abs(p.y - t1.y) < 0.001) label1 = label;
-                if (p && t2 && Math.abs(p.x - t2.x) < 0.001 && Math.abs(p.y - t2.y) < 0.001) label2 = label;
-            }
+// palette: 颜色模式下 'RRGGBB' → 颜色名，否则为 null；semantic: 引用语义样式，默认值不再内联
+function styleOptions(style, kind, palette = null, settings = DEFAULT_SETTINGS, semantic = false) {
+    const options = [];
+    // 虚线段即辅助线
+    const auxLine = semantic && kind === 'path' && style.line === 'dashed';
+    if (semantic) options.push(`gikz ${auxLine ? 'aux line' : SEMANTIC_STYLES[kind]}`);
+    if (semantic && style.fill === true && !(kind in FILL_KINDS)) options.push('gikz fill');
+    if (style.arrow) options.push(style.arrow);
+    const stroke = palette && style.color && palette.get(style.color);
+    if (stroke && !(kind in FILL_KINDS)) options.push(stroke);
+    if (style.line && !auxLine) options.push(style.line);
+    const defaultFill = style.fill === true || (!style.fill && kind in FILL_KINDS);
+    let fill = style.fill === true ? settings.polygonFill : style.fill || settings[FILL_KINDS[kind]];
+    // 多边形在非颜色模式下也按自身颜色填充，取最接近的 xcolor 颜色名（无需 \definecolor；黑色仍用默认填充）
+    const polygon = kind === 'path' || kind === 'fill';
+    const fillColor = style.fillColor && (palette ? palette.get(style.fillColor)
+        : polygon && style.fillColor !== '000000' && nearestColorName(style.fillColor));
+    // 有不透明度时直接用该颜色，否则沿用默认填充的浓度（gray!30 → 颜色!30）
+    if (fill && fillColor) fill = style.opacity !== undefined ? fillColor : fill.replace(/^[^!]+/, fillColor);
+    if (semantic) {
+        if (fill && !(defaultFill && !fillColor)) options.push(`fill=${fill}`);
+    } else if (fill) {
+        options.push(kind in FILL_KINDS ? fill : `fill=${fill}`);
+    }
+    if (style.opacity !== undefined) options.push(`fill opacity=${style.opacity}`);
+    if (style.decoration) options.push(...style.decoration);
+    return options;
+}
 
-            if (label1 && label2) {
-                const key = `${label1}-${label2}`, rev = `${label2}-${label1}`;
-                if (!processedLines.has(key) && !processedLines.has(rev)) {
-                    result += convertedStyle ? `  \\draw[${convertedStyle}] (${label1}) -- (${label2});\n` : `  \\draw (${label1}) -- (${label2});\n`;
-                    processedLines.add(key);
-                }
-            } else {
-                const fc1 = formatCoordinate(`(${coord1})`, shouldRound);
-                const fc2 = formatCoordinate(`(${coord2})`, shouldRound);
-                result += convertedStyle ? `  \\draw[${convertedStyle}] ${fc1} -- ${fc2};\n` : `  \\draw ${fc1} -- ${fc2};\n`;
+// 颜色模式：收集场景中的不同颜色并命名。mode 为 'xcolor' 时取最接近的 xcolor 基本颜色名，
+// 否则以最接近的基本颜色为词根起名（ggbBlue、ggbBlue2 ...），由 \definecolor 定义。黑色为默认色，不命名。
+function colorPalette(scene, mode) {
+    const palette = new Map(), definitions = [], used = new Map();
+    for (const el of scene.elements) {
+        for (const hex of [el.style.color, el.style.fillColor]) {
+            if (!hex || hex === '000000' || palette.has(hex)) continue;
+            const base = nearestColorName(hex);
+            if (mode === 'xcolor') {
+                if (base !== 'black') palette.set(hex, base);
+                continue;
             }
-        });
+            const count = (used.get(base) || 0) + 1;
+            used.set(base, count);
+            const name = `ggb${base[0].toUpperCase()}${base.slice(1)}${count > 1 ? count : ''}`;
+            palette.set(hex, name);
+            const rgb = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16)).join(',');
+            definitions.push(`\\definecolor{${name}}{RGB}{${rgb}}`);
+        }
     }
+    return { palette, definitions };
+}
 
-    if (includePoints && pointMap.size > 0) {
-        result += '\n  % 点标记\n';
-        for (const [label] of pointMap) {
-            result += `  \\draw[fill=black] (${label}) circle (1pt);\n`;
-        }
+function tikzCommand(cmd, options, body) {
+    return `\\${cmd}${options.length > 0 ? `[${options.join(', ')}]` : ''} ${body};`;
+}
+
+// 坐标定义的顺序：表达式引用的坐标排在前面，其余保持原顺序
+function coordinateOrder(scene) {
+    const seen = new Set(), order = [];
+    const visit = name => {
+        if (seen.has(name)) return;
+        seen.add(name);
+        const c = scene.coordinates.get(name);
+        for (const dep of c.deps || []) if (scene.coordinates.has(dep)) visit(dep);
+        order.push([name, c]);
+    };
+    for (const name of scene.coordinates.keys()) visit(name);
+    return order;
+}
+
+// --grouped 时按类型分块输出的顺序
+const GROUPED_BLOCKS = [
+    ['function', '函数图像'], ['parametric', '贝塞尔曲线'], ['angle', '角度'], ['fill', '多边形填充'],
+    ['sector', '扇形'], ['circle', '圆'], ['ellipse', '椭圆'], ['arc', '圆弧'], ['path', '线段'],
+    ['vector', '向量'], ['point', '点标记']
+];
+
+// 绘制顺序：先按图层，层内按构造顺序（TikZ 导出按源文件行号）；
+// 与 GeoGebra 一致，同一图层里的点标记画在其他图形之上
+function drawingLayers(scene, includePoints) {
+    const keyOf = (el, index) => [el.layer || 0, el.kind === 'point' ? 1 : 0, el.order === undefined ? Infinity : el.order, index];
+    const items = scene.elements
+        .map((el, index) => ({ el, key: keyOf(el, index) }))
+        .filter(({ el }) => el.kind !== 'label' && (el.kind !== 'point' || includePoints));
+    items.sort((a, b) => {
+        const i = a.key.findIndex((v, k) => v !== b.key[k]);
+        return i < 0 ? 0 : a.key[i] < b.key[i] ? -1 : 1;
+    });
+    const layers = new Map();
+    for (const { el } of items) {
+        const layer = el.layer || 0;
+        if (!layers.has(layer)) layers.set(layer, []);
+        layers.get(layer).push(el);
     }
+    return [...layers];
+}
 
-    if (includeLabels && pointMap.size > 0) {
-        result += '\n  % 点标签\n';
-        const allPointsData = [];
-        for (const [label, coords] of pointMap) {
-            const m = coords.match(/\(?([^,]+),([^)]+)\)?/);
-            if (m) allPointsData.push({ label, x: parseFloat(m[1]), y: parseFloat(m[2]) });
+function emitTikZ(scene, opts = {}) {
+    const shouldRound   = opts.round  !== false;
+    const includePoints = opts.points !== false;
+    const includeLabels = opts.labels !== false;
+    const settings = outputSettings(opts);
+    const num = v => (shouldRound && typeof v === 'number') ? roundTo(v, settings.precision) : v;
+    // 坐标、半径、角度与定义域：吸附模式下写出精确值（带括号的表达式加花括号），否则四舍五入；
+    // 已能用 precision 位小数精确表示的值不吸附
+    const tolerance = settings.snap === true ? DEFAULT_SNAP_TOLERANCE : settings.snap || 0;
+    const exact = (v, angle = false) => {
+        const snapped = tolerance > 0 && typeof v === 'number' && Math.abs(v - roundTo(v, settings.precision)) > 1e-9
+            ? snapValue(v, tolerance, angle) : null;
+        if (!snapped) return { text: num(v), shift: 0 };
+        return { text: snapped.text.includes('(') ? `{${snapped.text}}` : snapped.text, shift: snapped.value - v };
+    };
+    const val = v => exact(v).text;
+    const deg = v => exact(v, true).text;
+    // 吸附不能使点移动超过容差，否则该点只做四舍五入
+    const point = (x, y) => {
+        const ex = exact(x), ey = exact(y);
+        if (Math.hypot(ex.shift, ey.shift) > tolerance) return `(${num(x)},${num(y)})`;
+        return `(${ex.text},${ey.text})`;
+    };
+    const ref = r => typeof r === 'string' ? `(${r})` : point(r.x, r.y);
+    const longDecimal = new RegExp(`\\d+\\.\\d{${settings.precision + 1},}`, 'g');
+    const roundExpr = e => shouldRound ? e.replace(longDecimal, m => roundTo(parseFloat(m), settings.precision)) : e;
+    const ofKind = kind => scene.elements.filter(e => e.kind === kind);
+    const opacity = style => style.opacity === undefined ? style : { ...style, opacity: num(style.opacity) };
+
+    const blocks = [];
+    const block = (comment, lines) => {
+        if (lines.length > 0) blocks.push([`% ${comment}`, ...lines].map(l => '  ' + l).join('\n'));
+    };
+
+    const { palette, definitions } = opts.color ? colorPalette(scene, opts.color) : { palette: null, definitions: [] };
+    // --styles: true 时在图形开头输出 \tikzset（standalone 时放在导言区），为文件名时定义另行写入该文件
+    const semantic = Boolean(opts.styles);
+    const styled = (style, kind) => styleOptions(style, kind, palette, settings, semantic);
+    const nodeOptions = (...options) => {
+        const list = options.filter(Boolean);
+        return list.length > 0 ? `[${list.join(', ')}]` : '';
+    };
+    const withStyle = (name, ...options) => semantic ? [`gikz ${name}`, ...options] : options;
+    if (opts.styles === true && !opts.standalone) block('样式', tikzStyles(settings).split('\n'));
+    const colorOf = style => (palette && style.color && palette.get(style.color)) || null;
+    block('颜色定义', definitions);
+    if (!semantic && scene.elements.some(e => e.ticks)) block('标记样式', [`\\tikzset{gikz ticks/.style={${TICKS_STYLE}}}`]);
+
+    block('坐标点定义', coordinateOrder(scene).map(([name, c]) =>
+        `\\coordinate (${name}) at ${c.expr ? roundExpr(c.expr) : point(c.x, c.y)};`));
+
+    if (scene.axes) block('坐标轴与网格', axesLines(scene.axes, num, semantic));
+
+    // 函数图像在有裁剪框时放进 scope 里裁剪
+    const clipped = lines => {
+        if (lines.length === 0 || !scene.clip) return lines;
+        const c = scene.clip;
+        return [
+            '\\begin{scope}',
+            `  \\clip(${num(c.x1)},${num(c.y1)}) rectangle (${num(c.x2)},${num(c.y2)});`,
+            ...lines.map(l => '  ' + l),
+            '\\end{scope}'
+        ];
+    };
+    const ticks = n => n ? `gikz ticks=${n}` : null;
+    const strokeOf = style => colorOf(style) || (palette && style.fillColor && palette.get(style.fillColor)) || null;
+
+    // 每类图形的输出行
+    const draw = {
+        function: f => {
+            const options = semantic ? styled(f.style, 'function') : styled(f.style, 'function').concat('smooth', `samples=${settings.samples}`);
+            const t = f.transform || {};
+            if (t.rotate) options.push(`rotate around={${deg(t.rotate.angle)}:${point(t.rotate.x, t.rotate.y)}}`);
+            if (t.shift) options.push(`xshift=${num(t.shift.x)}cm`, `yshift=${num(t.shift.y)}cm`);
+            options.push(`domain=${val(f.domain[0])}:${val(f.domain[1])}`);
+            return [tikzCommand('draw', options, `plot(\\x,{${roundExpr(f.expr)}})`)];
+        },
+        parametric: p => {
+            const options = styled(p.style, 'parametric').concat(semantic ? [] : ['smooth', 'samples=100'], 'domain=0:1', 'variable=\\t');
+            return [`\\draw[${options.join(', ')}] plot\n    ({${roundExpr(p.x)}},\n     {${roundExpr(p.y)}});`];
+        },
+        // 直角画成方块；双弧、三弧、短线与箭头标记在填充之上画出各条圆弧，短线与箭头标在角本身的圆弧上
+        angle: a => {
+            const s = deg(a.start), e = deg(a.end), r = val(a.radius);
+            if (a.right) {
+                const square = `${ref(a.vertex)} -- ++(${s}:${r}) -- ++(${deg(a.start + 90)}:${r}) -- ++(${deg(a.start + 180)}:${r}) -- cycle`;
+                const lines = a.filled ? [tikzCommand('fill', styled(a.style, 'angle'), square)] : [];
+                lines.push(tikzCommand('draw', withStyle('right angle', strokeOf(a.style)).filter(Boolean),
+                    `${ref(a.vertex)} ++(${s}:${r}) -- ++(${deg(a.start + 90)}:${r}) -- ++(${deg(a.start + 180)}:${r})`));
+                return lines;
+            }
+            const lines = [tikzCommand('fill', styled(a.style, 'angle'), `${ref(a.vertex)} -- ++(${s}:${r}) arc (${s}:${e}:${r}) -- cycle`)];
+            if (!a.arcs && !a.ticks && !a.arrow) return lines;
+            const radii = [a.radius, ...(a.arcs || [])].sort((x, y) => y - x);
+            for (const radius of radii) {
+                const own = radius === a.radius;
+                const options = withStyle('arc', own && a.arrow, strokeOf(a.style), own && ticks(a.ticks)).filter(Boolean);
+                lines.push(tikzCommand('draw', options, `${ref(a.vertex)} ++(${s}:${val(radius)}) arc (${s}:${e}:${val(radius)})`));
+            }
+            return lines;
+        },
+        fill: f => [tikzCommand('fill', styled(opacity(f.style), 'fill'), f.points.map(ref).join(' -- ') + ' -- cycle')],
+        sector: s => {
+            const a = deg(s.start), b = deg(s.end), r = val(s.radius);
+            const edge = s.from ? ref(s.from) : `++(${a}:${r})`;
+            return [tikzCommand('draw', styled(opacity(s.style), 'sector'), `${ref(s.center)} -- ${edge} arc (${a}:${b}:${r}) -- cycle`)];
+        },
+        circle: c => [tikzCommand('draw', styled(c.style, 'circle'), `${ref(c.center)} circle (${val(c.radius)})`)],
+        ellipse: e => {
+            const options = styled(e.style, 'ellipse');
+            if (e.rotate) options.push(`rotate around={${deg(e.rotate.angle)}:${ref(e.rotate.center)}}`);
+            return [tikzCommand('draw', options, `${ref(e.center)} ellipse (${val(e.rx)} and ${val(e.ry)})`)];
+        },
+        arc: a => {
+            const s = deg(a.start), e = deg(a.end), r = val(a.radius);
+            const from = a.from ? ref(a.from) : `${ref(a.center)} ++(${s}:${r})`;
+            return [tikzCommand('draw', styled(a.style, 'arc'), `${from} arc (${s}:${e}:${r})`)];
+        },
+        path: p => [tikzCommand('draw', styled(p.style, 'path').concat(ticks(p.ticks) || []), p.points.map(ref).join(' -- ') + (p.cycle ? ' -- cycle' : ''))],
+        vector: v => [tikzCommand('draw', semantic ? styled(v.style, 'vector') : ['-{Stealth}', ...styled(v.style, 'vector')], `${ref(v.from)} -- ${ref(v.to)}`)],
+        point: p => [semantic
+            ? `\\node${nodeOptions('gikz point', colorOf(p.style) && `fill=${colorOf(p.style)}`)} at ${ref(p.at)} {};`
+            : `\\draw[fill=${colorOf(p.style) || settings.pointFill}] ${ref(p.at)} circle (${settings.pointRadius});`]
+    };
+
+    if (opts.grouped) {
+        for (const [kind, title] of GROUPED_BLOCKS) {
+            if (kind === 'point' && !includePoints) continue;
+            const lines = ofKind(kind).flatMap(el => draw[kind](el));
+            block(title, kind === 'function' ? clipped(lines) : lines);
         }
-        for (const point of allPointsData) {
-            const pos = getSmartLabelPosition(point.x, point.y, allPointsData);
-            result += `  \\node [${pos}] at (${point.label}) {$${point.label}$};\n`;
+    } else {
+        const layers = drawingLayers(scene, includePoints);
+        for (const [layer, items] of layers) {
+            // 相邻的函数图像共用一个裁剪 scope
+            const lines = [];
+            let functions = [];
+            for (const el of items) {
+                if (el.kind === 'function') { functions.push(...draw.function(el)); continue; }
+                lines.push(...clipped(functions), ...draw[el.kind](el));
+                functions = [];
+            }
+            lines.push(...clipped(functions));
+            block(layers.length > 1 ? `图层 ${layer}` : '图形', lines);
         }
     }
 
-    if (angleLabels.length > 0) {
-        result += '\n  % 角度标签\n';
-        angleLabels.forEach(l => { result += `  \\draw ${l.coords} node {$${l.content}^{\\circ}$};\n`; });
+    const labels = ofKind('label');
+    if (includeLabels) {
+        const positions = placeLabels(scene);
+        block('点标签', labels.filter(l => l.role === 'point').map(l =>
+            `\\node${nodeOptions(...withStyle('label', positions.get(l), colorOf(l.style)))} at ${ref(l.at)} {${l.text}};`));
     }
-
-    if (textLabels.length > 0) {
-        result += '\n  % 文本标签\n';
-        textLabels.forEach(l => { result += `  \\draw ${l.coords} node[${l.options}] {${l.content}};\n`; });
+    if (includeLabels) {
+        block('对象标签', labels.filter(l => l.role === 'object').map(l => l.along
+            ? `\\path ${ref(l.along[0])} -- ${ref(l.along[1])} node${nodeOptions(...withStyle('object label', 'midway', l.position, colorOf(l.style)))} {${l.text}};`
+            : `\\node${nodeOptions(...withStyle('object label', l.position, colorOf(l.style)))} at ${ref(l.at)} {${l.text}};`));
     }
-
-    result += '\\end{tikzpicture}';
-    return result;
+    // 角平分线上的标签：从顶点沿平分线走到圆弧外，标签朝外放置
+    block('角度标签', labels.filter(l => l.role === 'angle').map(l => l.bisector
+        ? `\\path ${ref(l.at)} ++(${deg(l.bisector.angle)}:${val(l.bisector.distance)}) node${nodeOptions(...withStyle('angle label', directionPosition(l.bisector.angle), colorOf(l.style)))} {${l.text}};`
+        : `\\node${nodeOptions(...withStyle('angle label', colorOf(l.style)))} at ${ref(l.at)} {${l.text}};`));
+    block('文本标签', labels.filter(l => l.role === 'text').map(l =>
+        `\\node${nodeOptions(...withStyle('text', l.options, colorOf(l.style)))} at ${ref(l.at)} {${l.text}};`));
+
+    return `\\begin{tikzpicture}[scale=${settings.scale}]\n` + blocks.map(b => b + '\n').join('\n') + '\\end{tikzpicture}';
 }
 
-// ─── GeoGebra XML/GGB 转换 ──────────────────────────────
-
-function readGGB(buf) {
-    let eocdPos = -1;
-    for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
-        if (buf.readUInt32LE(i) === 0x06054b50) { eocdPos = i; break; }
-    }
-    if (eocdPos === -1) throw new Error('无效的 GGB 文件（非 ZIP 格式）');
+const KIND_COUNTS = {
+    point: 'points', path: 'paths', vector: 'vectors', fill: 'fills', circle: 'circles', ellipse: 'ellipses',
+    arc: 'arcs', sector: 'sectors', angle: 'angles', function: 'functions',
+    parametric: 'parametric', label: 'labels'
+};
 
-    const cdEntries = buf.readUInt16LE(eocdPos + 10);
-    const cdOffset = buf.readUInt32LE(eocdPos + 16);
-    let pos = cdOffset;
-    for (let i = 0; i < cdEntries; i++) {
-        if (pos + 46 > buf.length || buf.readUInt32LE(pos) !== 0x02014b50) break;
-        const method   = buf.readUInt16LE(pos + 10);
-        const cSize    = buf.readUInt32LE(pos + 20);
-        const nameLen  = buf.readUInt16LE(pos + 28);
-        const extraLen = buf.readUInt16LE(pos + 30);
-        const cmtLen   = buf.readUInt16LE(pos + 32);
-        const locOff   = buf.readUInt32LE(pos + 42);
-        const name     = buf.toString('utf8', pos + 46, pos + 46 + nameLen);
-        if (name === 'geogebra.xml') {
-            const lnLen = buf.readUInt16LE(locOff + 26);
-            const leLen = buf.readUInt16LE(locOff + 28);
-            const data  = buf.slice(locOff + 30 + lnLen + leLen, locOff + 30 + lnLen + leLen + cSize);
-            if (method === 0) return data.toString('utf8');
-            if (method === 8) return zlib.inflateRawSync(data).toString('utf8');
-            throw new Error(`GGB: 不支持的压缩方法 ${method}`);
-        }
-        pos += 46 + nameLen + extraLen + cmtLen;
-    }
-    throw new Error('GGB 文件中未找到 geogebra.xml');
+function sceneResult(scene, opts) {
+    const counts = {};
+    for (const key of Object.values(KIND_COUNTS)) counts[key] = 0;
+    for (const el of scene.elements) counts[KIND_COUNTS[el.kind]]++;
+    return {
+        tikz: emitTikZ(scene, opts),
+        coordinates: [...scene.coordinates].map(([name, c]) => ({ name, x: c.x, y: c.y })),
+        counts,
+        warnings: scene.warnings,
+        report: scene.report
+    };
 }
 
-function convertGeoGebraXML(xmlStr, opts = {}) {
-    const shouldRound   = opts.round  !== false;
-    const includePoints = opts.points !== false;
-    const includeLabels = opts.labels !== false;
-    const rv = v => shouldRound ? roundToThreeDecimals(v) : v;
-    const de = s => s.replace(/&amp;/g, '&').replace(/&lt;/g, '<')
-                     .replace(/&gt;/g, '>').replace(/&apos;/g, "'").replace(/&quot;/g, '"');
+// ─── 诊断报告 ───────────────────────────────────────────
 
-    const constrM = xmlStr.match(/<construction[^>]*>([\s\S]*?)<\/construction>/);
-    if (!constrM) throw new Error('XML 中未找到 construction 块');
-    const constr = constrM[1];
+const REPORT_STATUS = { converted: '已转换', merged: '已合并', dropped: '已丢弃', hidden: '已隐藏', ignored: '已忽略' };
 
-    // 解析元素
-    const elements = new Map();
-    const elRe = /<element\s+type="([^"]+)"\s+label="([^"]+)">([\s\S]*?)<\/element>/g;
-    let m;
-    while ((m = elRe.exec(constr))) {
-        const label = de(m[2]), body = m[3];
-        const el = { type: m[1], label };
+function reportSummary(report) {
+    const summary = {};
+    for (const status of Object.keys(REPORT_STATUS)) summary[status] = 0;
+    for (const e of report) summary[e.status]++;
+    return summary;
+}
 
-        const showM = body.match(/<show\s+object="([^"]+)"\s+label="([^"]+)"/);
-        el.visible   = showM ? showM[1] === 'true' : false;
-        el.showLabel = showM ? showM[2] === 'true' : false;
+function formatReport(report, title) {
+    const lines = [`报告: ${title}`];
+    for (const e of report) {
+        const src = e.source.length > 72 ? e.source.slice(0, 69) + '...' : e.source;
+        lines.push(`  行 ${String(e.line).padEnd(5)}${REPORT_STATUS[e.status]}  ${(e.kind || '-').padEnd(10)}${src}${e.note ? `  (${e.note})` : ''}`);
+    }
+    const summary = reportSummary(report);
+    lines.push('  合计: ' + Object.keys(REPORT_STATUS).map(s => `${REPORT_STATUS[s]} ${summary[s]}`).join(', '));
+    return lines.join('\n');
+}
 
-        const coordsM = body.match(/<coords\s+x="([^"]+)"\s+y="([^"]+)"\s+z="([^"]+)"/);
-        if (coordsM) {
-            const z = parseFloat(coordsM[3]) || 1;
-            el.x = parseFloat(coordsM[1]) / z;
-            el.y = parseFloat(coordsM[2]) / z;
-        }
+// 严格模式：有输入被丢弃时抛出错误，error.report 为完整报告
+function checkStrict(result) {
+    const dropped = result.report.filter(e => e.status === 'dropped');
+    if (dropped.length === 0) return;
+    const err = new Error(`严格模式: ${dropped.length} 条输入被丢弃（行 ${dropped.map(e => e.line).join(', ')}）`);
+    err.report = result.report;
+    throw err;
+}
 
-        const valM = body.match(/<value\s+val="([^"]+)"/);
-        if (valM) el.value = parseFloat(valM[1]);
-        const arcM = body.match(/<arcSize\s+val="([^"]+)"/);
-        if (arcM) el.arcSize = parseInt(arcM[1]);
+// ─── 包装函数：standalone / tikzonly ────────────────────
 
-        const colM = body.match(/<objColor[^>]+alpha="([^"]+)"/);
-        if (colM) el.alpha = parseFloat(colM[1]);
+// 图形用到的装饰（decoration=名称，gikz ticks 基于 markings）所需的 TikZ 库
+const DECORATION_LIBRARIES = {
+    markings: 'decorations.markings', brace: 'decorations.pathreplacing', ticks: 'decorations.pathreplacing',
+    border: 'decorations.pathreplacing', zigzag: 'decorations.pathmorphing', snake: 'decorations.pathmorphing',
+    coil: 'decorations.pathmorphing', bumps: 'decorations.pathmorphing', 'random steps': 'decorations.pathmorphing'
+};
 
-        const lineM = body.match(/<lineStyle\s+thickness="([^"]+)"\s+type="([^"]+)"/);
-        if (lineM) { el.lineThickness = parseInt(lineM[1]); el.lineType = parseInt(lineM[2]); }
+function decorationLibraries(tikzCode) {
+    const names = [...tikzCode.matchAll(/decoration=\{?\s*([a-z ]*[a-z])/g)].map(m => m[1]);
+    if (/gikz ticks=/.test(tikzCode)) names.push('markings');
+    return [...new Set(names.map(n => DECORATION_LIBRARIES[n]).filter(Boolean))];
+}
 
-        if (el.x !== undefined && (isNaN(el.x) || isNaN(el.y))) continue;
-        elements.set(label, el);
-    }
+// opts: 输出设置（border、compat、preamble），见 DEFAULT_SETTINGS；opts.styles 为真时在导言区定义语义样式
+function wrapStandalone(tikzCode, opts = {}) {
+    const settings = outputSettings(opts);
+    const preamble = ['\\usepackage{tikz}'];
+    if (settings.compat) preamble.push('\\usepackage{pgfplots}', `\\pgfplotsset{compat=${settings.compat}}`);
+    preamble.push(`\\usetikzlibrary{${['arrows.meta', 'calc', ...decorationLibraries(tikzCode)].join(',')}}`, ...settings.preamble);
+    if (opts.styles) preamble.push(tikzStyles(settings));
+    return `\\documentclass[border=${settings.border}]{standalone}
+${preamble.join('\n')}
 
-    // 解析命令
-    const commands = [];
-    const cmdRe = /<command\s+name="([^"]+)">([\s\S]*?)<\/command>/g;
-    while ((m = cmdRe.exec(constr))) {
-        const cmd = { name: m[1], inputs: [], outputs: [] };
-        const inM = m[2].match(/<input\s+([^/]*)\/>/); 
-        if (inM) { const r = /a(\d+)="([^"]+)"/g; let a; while ((a = r.exec(inM[1]))) cmd.inputs[+a[1]] = de(a[2]); }
-        const outM = m[2].match(/<output\s+([^/]*)\/>/); 
-        if (outM) { const r = /a(\d+)="([^"]+)"/g; let a; while ((a = r.exec(outM[1]))) cmd.outputs[+a[1]] = de(a[2]); }
-        commands.push(cmd);
+\\begin{document}
+${tikzCode}
+\\end{document}
+`;
+}
+
+// ─── 程序接口 ───────────────────────────────────────────
+//
+// const gikz = require('gikz');
+// const r = gikz.convertFile('figure.ggb', { labels: false });
+// r.tikz         tikzpicture 代码
+// r.source       输入类型: 'tikz' | 'xml' | 'ggb'
+// r.coordinates  命名坐标 [{ name, x, y }]
+// r.counts       各类元素数量
+// r.warnings     转换过程中的警告
+// r.report       逐条输入的诊断报告 [{ line, status, kind, source, note }]
+// 选项 strict: true 时，有输入被丢弃即抛出错误
+
+function convert(input, opts = {}) {
+    let result;
+    if (Buffer.isBuffer(input) && input.length >= 4 && input.readUInt32LE(0) === 0x04034b50) {
+        // ZIP 签名 "PK\x03\x04"：.ggb 工程文件，否则按文本处理
+        result = { source: 'ggb', ...convertGeoGebra(readGGB(input), opts) };
+    } else {
+        const text = Buffer.isBuffer(input) ? input.toString('utf8') : input;
+        result = text.includes('<geogebra') && text.includes('<construction')
+            ? { source: 'xml', ...convertGeoGebra(text, opts) }
+            : { source: 'tikz', ...cleanTikZ(text, opts) };
     }
+    if (opts.strict) checkStrict(result);
+    return result;
+}
 
-    const cmdByOut = new Map();
-    for (const cmd of commands)
-        for (const lbl of cmd.outputs) if (lbl) cmdByOut.set(lbl, cmd);
+function readInput(file) {
+    return path.extname(file).toLowerCase() === '.ggb' ? fs.readFileSync(file) : fs.readFileSync(file, 'utf8');
+}
 
-    // 多边形边标签（排除独立绘制）
-    const polyEdges = new Set();
-    for (const cmd of commands) {
-        if (cmd.name === 'Polygon')
-            for (let i = 1; i < cmd.outputs.length; i++) if (cmd.outputs[i]) polyEdges.add(cmd.outputs[i]);
-    }
+function convertFile(file, opts = {}) {
+    return convert(readInput(file), opts);
+}
 
-    // 收集可见元素
-    const refPts = new Set();
-    const lsName = t => { switch(t){ case 10: case 15: return 'dashed'; case 20: return 'dotted'; case 30: return 'dash dot'; default: return ''; } };
+// ─── 文档处理 ───────────────────────────────────────────
+//
+// 在 .tex 文档中逐个处理 tikzpicture，其余文本保持逐字节不变：
+//   - GeoGebra 导出的图形（选项含 line cap=round,line join=round）原地清洗；
+//   - 前面带 "% gikz: <文件>" 标记的图形由该 .ggb/.xml/.txt 文件重新生成（路径相对于文档）；
+//   - 其他图形（手写的或已清洗过的）不做改动。
+// opts.update 为真时，重新生成的图形与文档中原有的图形合并（见 mergeHandEdits）。
+// CRLF 文档内部按 LF 处理，输出时还原。
+
+const TIKZ_ENV_RE = /\\begin\{tikzpicture\}[\s\S]*?\\end\{tikzpicture\}/g;
+const MARKER_RE = /^[ \t]*%[ \t]*gikz:[ \t]*(?!(?:keep|end)[ \t]*$|generated\b)(\S.*?)[ \t]*$/gm;
+
+function isGeoGebraExport(picture) {
+    return /^\\begin\{tikzpicture\}\[[^\]]*line cap=round,\s*line join=round/.test(picture);
+}
 
-    // 线段
-    const segs = [];
-    for (const [label, el] of elements) {
-        if (!el.visible || el.type !== 'segment' || polyEdges.has(label)) continue;
-        const cmd = cmdByOut.get(label);
-        if (cmd && cmd.name === 'Segment' && cmd.inputs[0] && cmd.inputs[1]) {
-            segs.push({ from: cmd.inputs[0], to: cmd.inputs[1], ls: lsName(el.lineType || 0) });
-            refPts.add(cmd.inputs[0]); refPts.add(cmd.inputs[1]);
+function processDocument(source, opts = {}) {
+    const eol = source.includes('\r\n') ? '\r\n' : '\n';
+    const text = eol === '\n' ? source : source.replace(/\r\n/g, '\n');
+    const baseDir = opts.baseDir || process.cwd();
+    const markers = [...text.matchAll(MARKER_RE)].map(m => ({ index: m.index, end: m.index + m[0].length, file: m[1] }));
+    const lineOf = idx => text.slice(0, idx).split('\n').length;
+    // GeoGebra 导出的 \definecolor 通常在导言区
+    const cleanOpts = opts.color ? { ...opts, definedColors: parseColorDefinitions(text) } : opts;
+
+    const figures = [];
+    let out = '', last = 0, prevEnd = 0;
+    for (const m of text.matchAll(TIKZ_ENV_RE)) {
+        const picture = m[0];
+        const figure = { line: lineOf(m.index), status: 'skipped', file: null };
+        // 标记只作用于紧随其后的那个图形
+        const marker = markers.filter(k => k.index >= prevEnd && k.end <= m.index).pop();
+        prevEnd = m.index + picture.length;
+
+        // \begin{tikzpicture} 独占一行时的缩进
+        const before = text.slice(text.lastIndexOf('\n', m.index - 1) + 1, m.index);
+        const indent = /^[ \t]+$/.test(before) ? before : '';
+
+        let tikz = null;
+        try {
+            if (marker) {
+                figure.file = marker.file;
+                figure.result = convertFile(path.resolve(baseDir, marker.file), opts);
+                figure.status = 'regenerated';
+            } else if (isGeoGebraExport(picture)) {
+                figure.result = convert(picture, cleanOpts);
+                figure.status = 'cleaned';
+            }
+            if (figure.result) tikz = figure.result.tikz;
+            if (marker && opts.update) {
+                const previous = picture.split('\n').map(l => l.startsWith(indent) ? l.slice(indent.length) : l).join('\n');
+                figure.merge = mergeHandEdits(previous, tikz);
+                if (opts.strict && figure.merge.conflicts.length > 0) throw new Error(`严格模式: ${figure.merge.conflicts.length} 处保留冲突`);
+                tikz = figure.merge.tikz;
+            }
+        } catch (e) {
+            figure.status = 'failed';
+            figure.error = e.message;
+        }
+        figures.push(figure);
+
+        if (tikz !== null) {
+            // 新代码按 \begin{tikzpicture} 所在行的缩进对齐
+            const replacement = indent ? tikz.replace(/\n(?=[^\n])/g, '\n' + indent) : tikz;
+            out += text.slice(last, m.index) + replacement;
+            last = m.index + picture.length;
+            figure.changed = replacement !== picture;
         }
     }
+    out += text.slice(last);
+    if (eol !== '\n') out = out.replace(/\r?\n/g, eol);
+    return { text: out, figures, changed: out !== source };
+}
 
-    // 圆
-    const circs = [];
-    for (const [label, el] of elements) {
-        if (!el.visible || el.type !== 'conic') continue;
-        const cmd = cmdByOut.get(label);
-        if (cmd && cmd.name === 'Circle') {
-            const cEl = elements.get(cmd.inputs[0]), tEl = elements.get(cmd.inputs[1]);
-            if (cEl && tEl && cEl.x !== undefined && tEl.x !== undefined) {
-                const dx = tEl.x - cEl.x, dy = tEl.y - cEl.y;
-                circs.push({ center: cmd.inputs[0], radius: rv(Math.sqrt(dx * dx + dy * dy)) });
-                refPts.add(cmd.inputs[0]);
-            }
-        }
+// 行级差异（最长公共子序列），只用于图形所在的少量行
+function diffLines(a, b) {
+    const n = a.length, k = b.length;
+    // 过大时不求最小差异，整段替换
+    if (n * k > 4e6) return [...a.map(l => ['-', l]), ...b.map(l => ['+', l])];
+    const lcs = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--)
+        for (let j = k - 1; j >= 0; j--)
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    const ops = [];
+    let i = 0, j = 0;
+    while (i < n || j < k) {
+        if (i < n && j < k && a[i] === b[j]) { ops.push([' ', a[i]]); i++; j++; }
+        else if (i < n && (j === k || lcs[i + 1][j] >= lcs[i][j + 1])) ops.push(['-', a[i++]]);
+        else ops.push(['+', b[j++]]);
     }
+    return ops;
+}
 
-    // 多边形
-    const polys = [];
-    for (const [label, el] of elements) {
-        if (!el.visible || el.type !== 'polygon') continue;
-        const cmd = cmdByOut.get(label);
-        if (cmd && cmd.name === 'Polygon') {
-            const verts = [];
-            for (let i = 0; cmd.inputs[i]; i++) { verts.push(cmd.inputs[i]); refPts.add(cmd.inputs[i]); }
-            polys.push({ vertices: verts, alpha: el.alpha || 0 });
-        }
+function unifiedDiff(oldText, newText, name, context = 3) {
+    if (oldText === newText) return '';
+    const a = oldText.split(/\r?\n/), b = newText.split(/\r?\n/);
+    // 首尾相同的行直接跳过，只对中间部分求差异
+    let pre = 0;
+    while (pre < a.length && pre < b.length && a[pre] === b[pre]) pre++;
+    let suf = 0;
+    while (suf < a.length - pre && suf < b.length - pre && a[a.length - 1 - suf] === b[b.length - 1 - suf]) suf++;
+    const ops = [
+        ...a.slice(0, pre).map(l => [' ', l]),
+        ...diffLines(a.slice(pre, a.length - suf), b.slice(pre, b.length - suf)),
+        ...a.slice(a.length - suf).map(l => [' ', l])
+    ];
+
+    // 每个位置之前的旧/新行数，用于 @@ 行号
+    const oldAt = [0], newAt = [0];
+    for (const [op] of ops) {
+        oldAt.push(oldAt[oldAt.length - 1] + (op !== '+' ? 1 : 0));
+        newAt.push(newAt[newAt.length - 1] + (op !== '-' ? 1 : 0));
     }
 
-    // 角度
-    const angs = [];
-    for (const [label, el] of elements) {
-        if (!el.visible || el.type !== 'angle') continue;
-        const cmd = cmdByOut.get(label);
-        if (cmd && cmd.name === 'Angle') {
-            angs.push({ ptA: cmd.inputs[0], vertex: cmd.inputs[1], ptC: cmd.inputs[2], value: el.value });
-            refPts.add(cmd.inputs[0]); refPts.add(cmd.inputs[1]); refPts.add(cmd.inputs[2]);
+    const lines = [`--- a/${name}`, `+++ b/${name}`];
+    let i = 0;
+    while (i < ops.length) {
+        if (ops[i][0] === ' ') { i++; continue; }
+        // 相邻改动之间的相同行不超过 2*context 时并入同一段
+        let lastChange = i;
+        for (let j = i + 1; j < ops.length && j - lastChange <= context * 2; j++)
+            if (ops[j][0] !== ' ') lastChange = j;
+        const start = Math.max(0, i - context), end = Math.min(ops.length, lastChange + 1 + context);
+        lines.push(`@@ -${oldAt[start] + 1},${oldAt[end] - oldAt[start]} +${newAt[start] + 1},${newAt[end] - newAt[start]} @@`);
+        for (let j = start; j < end; j++) lines.push(ops[j][0] + ops[j][1]);
+        i = end;
+    }
+    return lines.join('\n') + '\n';
+}
+
+// ─── 保留手工修改 ───────────────────────────────────────
+//
+// 更新模式下把上一次的输出与新生成的图形合并：
+//   - "% gikz: keep" 与 "% gikz: end" 之间的块原样保留，插回到原先前一行之后的位置；
+//   - 图形末尾的 "% gikz: generated <摘要>..." 记录上次生成的各条语句，与之不同的旧语句才算手工修改；
+//   - 同一命名点上的 \node 若被手工改过，保留旧的整行；
+//   - 同一几何对象的 \draw/\fill 若被手工改过选项，保留旧选项、使用新几何；
+//   - 其余语句一律取新版本，因此被替换或在新图形中找不到对应的手工语句会被列出；
+//   - 保留块引用了新图形中已不存在的坐标名时报告冲突。
+// 旧输出没有生成记录时无从区分手工修改，所有语句都取新版本。
+
+const KEEP_BEGIN_RE = /^\s*%\s*gikz:\s*keep\s*$/;
+const KEEP_END_RE = /^\s*%\s*gikz:\s*end\s*$/;
+const GENERATED_RE = /^\s*%\s*gikz:\s*generated\b(.*)$/;
+const DIGESTS_PER_LINE = 8;
+
+// 把图形正文切成语句（以 ; 结尾，可跨行），注释与结构行单独成句
+function tikzStatements(lines) {
+    const statements = [];
+    let current = null;
+    for (const line of lines) {
+        if (current) {
+            current.push(line);
+            if (/;\s*(%.*)?$/.test(line)) { statements.push(current.join('\n')); current = null; }
+        } else if (/^\s*\\(draw|fill|filldraw|node|coordinate|path)\b/.test(line) && !/;\s*(%.*)?$/.test(line)) {
+            current = [line];
+        } else {
+            statements.push(line);
         }
     }
+    if (current) statements.push(current.join('\n'));
+    return statements;
+}
 
-    for (const [label, el] of elements)
-        if (el.type === 'point' && (el.visible || el.showLabel)) refPts.add(label);
+// 语句的匹配键：坐标按名称，命名点上的标签按点名，其余按去掉选项和数字后的路径
+function statementKey(stmt) {
+    const s = stmt.trim();
+    let m = s.match(/^\\coordinate\s*\(([^)]+)\)/);
+    if (m) return `coordinate:${m[1]}`;
+    m = s.match(/^\\node\s*(\[[^\]]*\])?\s*at\s*\(([^,():]+)\)/);
+    if (m) return `node:${m[2].trim()}`;
+    m = s.match(/^\\(draw|fill|filldraw)\s*(\[[^\]]*\])?\s*([\s\S]*);$/);
+    if (m) return `${m[1]}:${m[3].replace(/(?<![\w.])-?\d*\.?\d+/g, '#').replace(/\s+/g, ' ')}`;
+    return null;
+}
 
-    const coords = [];
-    for (const label of refPts) {
-        const el = elements.get(label);
-        if (el && el.type === 'point' && el.x !== undefined) coords.push({ label, x: rv(el.x), y: rv(el.y) });
-    }
-    coords.sort((a, b) => a.label.localeCompare(b.label));
+function splitStatementOptions(stmt) {
+    const m = stmt.trim().match(/^(\\[a-z]+)\s*(?:\[([^\]]*)\])?\s*([\s\S]*)$/);
+    return m ? { cmd: m[1], options: m[2] || '', body: m[3] } : null;
+}
 
-    // 生成 TikZ
-    let out = '\\begin{tikzpicture}[scale=1]\n';
+function referencedNames(text) {
+    const names = new Set();
+    for (const m of text.replace(/%.*$/gm, '').matchAll(/\(\s*([A-Za-z][\w']*)(?:\.[\w ]+)?\s*\)/g)) names.add(m[1]);
+    return names;
+}
 
-    if (coords.length > 0) {
-        out += '  % 坐标点定义\n';
-        for (const c of coords) out += `  \\coordinate (${c.label}) at (${c.x},${c.y});\n`;
-        out += '\n';
-    }
+// 语句摘要与缩进、换行无关，文档模式下重新缩进后仍能认出
+function statementDigest(stmt) {
+    const text = stmt.split('\n').map(l => l.trim()).join(' ');
+    return crypto.createHash('sha1').update(text).digest('hex').slice(0, 8);
+}
 
-    out += '  % 几何元素\n';
+// 把生成记录插到 \end{tikzpicture} 之前，只记录参与合并的语句（坐标总是取新值）
+function insertGeneratedRecord(output, freshLines) {
+    const digests = tikzStatements(freshLines)
+        .filter(stmt => { const key = statementKey(stmt); return key && !key.startsWith('coordinate:'); })
+        .map(statementDigest);
+    const end = output.findIndex(l => /^\s*\\end\{tikzpicture\}/.test(l));
+    if (digests.length === 0 || end < 0) return output;
+    const indent = (output.find((l, i) => i > 0 && l.trim()) || '').match(/^\s*/)[0];
+    const record = [];
+    for (let i = 0; i < digests.length; i += DIGESTS_PER_LINE)
+        record.push(`${indent}% gikz: generated ${digests.slice(i, i + DIGESTS_PER_LINE).join(' ')}`);
+    return [...output.slice(0, end), ...record, ...output.slice(end)];
+}
 
-    if (angs.length > 0) {
-        for (const ang of angs) {
-            const vEl = elements.get(ang.vertex), aEl = elements.get(ang.ptA), cEl = elements.get(ang.ptC);
-            if (!vEl || !aEl || !cEl) continue;
-            let sa = rv(Math.atan2(aEl.y - vEl.y, aEl.x - vEl.x) * 180 / Math.PI);
-            let ea = rv(Math.atan2(cEl.y - vEl.y, cEl.x - vEl.x) * 180 / Math.PI);
-            if (ea <= sa) ea += 360;
-            out += `  \\fill[green!10] (${ang.vertex}) -- ++(${sa}:0.4) arc (${sa}:${ea}:0.4) -- cycle;\n`;
+function mergeHandEdits(previous, fresh) {
+    const prevMatch = previous.match(/\\begin\{tikzpicture\}[^\n]*\n([\s\S]*?)\\end\{tikzpicture\}/);
+    const freshLines = fresh.split('\n');
+    const conflicts = [], overrides = [], discarded = [];
+    if (!prevMatch) return { tikz: insertGeneratedRecord(freshLines, freshLines).join('\n'), kept: 0, overrides, conflicts, discarded };
+
+    // 拆出保留块与生成记录，记录各块之前的所有行作为候选插入锚点
+    const prevLines = prevMatch[1].replace(/\n$/, '').split('\n');
+    const blocks = [], rest = [];
+    let block = null, generated = null;
+    for (const line of prevLines) {
+        const record = !block && line.match(GENERATED_RE);
+        if (block) {
+            block.lines.push(line);
+            if (KEEP_END_RE.test(line)) { block.restLength = rest.length; blocks.push(block); block = null; }
+        } else if (KEEP_BEGIN_RE.test(line)) {
+            const blankBefore = rest.length > 0 && !rest[rest.length - 1].trim();
+            block = { anchors: rest.map(l => l.trim()).filter(Boolean), blankBefore, blankAfter: false, lines: [line] };
+        } else if (record) {
+            if (!generated) generated = new Set();
+            for (const d of record[1].trim().split(/\s+/)) if (d) generated.add(d);
+        } else {
+            const prev = blocks[blocks.length - 1];
+            if (prev && prev.restLength === rest.length && !line.trim()) prev.blankAfter = true;
+            rest.push(line);
         }
-        out += '\n';
+    }
+    if (block) blocks.push(block);
+    const handEdited = stmt => generated !== null && !generated.has(statementDigest(stmt));
+
+    // 旧语句按键排队，供新语句逐一认领
+    const queue = new Map();
+    for (const stmt of tikzStatements(rest)) {
+        const key = statementKey(stmt);
+        if (!key) continue;
+        if (!queue.has(key)) queue.set(key, []);
+        queue.get(key).push(stmt);
     }
 
-    if (polys.length > 0) {
-        for (const p of polys) {
-            if (p.alpha > 0) {
-                const pth = p.vertices.map(v => `(${v})`).join(' -- ') + ' -- cycle';
-                out += `  \\fill[gray!20, fill opacity=${rv(p.alpha)}] ${pth};\n`;
-            }
+    const merged = [];
+    for (const stmt of tikzStatements(freshLines)) {
+        const key = statementKey(stmt);
+        const old = key && queue.has(key) ? queue.get(key).shift() : null;
+        if (!old || old.trim() === stmt.trim() || key.startsWith('coordinate:')) { merged.push(stmt); continue; }
+        if (!handEdited(old)) {
+            // 上次原样生成的语句取新版本；没有生成记录时把被替换的旧语句列出
+            if (generated === null) discarded.push(old.trim());
+            merged.push(stmt);
+            continue;
+        }
+        const indent = stmt.match(/^\s*/)[0];
+        if (key.startsWith('node:')) {
+            merged.push(indent + old.trim());
+            overrides.push(old.trim());
+            continue;
+        }
+        const a = splitStatementOptions(old), b = splitStatementOptions(stmt);
+        if (a && b && a.options !== b.options) {
+            const line = `${indent}${b.cmd}${a.options ? `[${a.options}]` : ''} ${b.body}`;
+            merged.push(line);
+            overrides.push(line.trim());
+        } else {
+            discarded.push(old.trim());
+            merged.push(stmt);
         }
-        out += '\n';
     }
-
-    if (circs.length > 0) {
-        for (const c of circs) out += `  \\draw (${c.center}) circle (${c.radius});\n`;
-        out += '\n';
+    // 上次生成、这次不再生成的语句不必报告
+    for (const stmts of queue.values()) {
+        for (const stmt of stmts) {
+            if (!statementKey(stmt).startsWith('coordinate:') && (generated === null || handEdited(stmt))) discarded.push(stmt.trim());
+        }
     }
 
-    if (segs.length > 0) {
-        const drawn = new Set();
-        for (const s of segs) {
-            const k = [s.from, s.to].sort().join('|');
-            if (drawn.has(k)) continue;
-            drawn.add(k);
-            out += s.ls ? `  \\draw[${s.ls}] (${s.from}) -- (${s.to});\n` : `  \\draw (${s.from}) -- (${s.to});\n`;
+    // 插回保留块并检查其引用的坐标
+    const defined = new Set();
+    for (const stmt of merged) {
+        const m = stmt.trim().match(/^\\coordinate\s*\(([^)]+)\)/);
+        if (m) defined.add(m[1]);
+    }
+    for (const b of blocks) {
+        const text = b.lines.join('\n');
+        for (const m of text.matchAll(/(?:\\coordinate|\bnode)\s*(?:\[[^\]]*\])?\s*\(([^)]+)\)/g)) defined.add(m[1].trim());
+    }
+    let output = merged.join('\n').split('\n');
+    for (const b of blocks) {
+        const text = b.lines.join('\n');
+        const missing = [...referencedNames(text)].filter(n => !defined.has(n));
+        if (missing.length > 0) conflicts.push(`保留块引用了不存在的坐标 ${missing.map(n => `(${n})`).join(', ')}:\n${text}`);
+        // 放在新输出中仍存在的、最近的前一行（或几何变了的同一语句）之后；块原本在最前面时紧跟 \begin{tikzpicture}
+        let at = b.anchors.length === 0 ? 1 : -1;
+        for (let i = b.anchors.length - 1; i >= 0 && at < 0; i--) {
+            const key = statementKey(b.anchors[i]);
+            let found = output.findIndex(l => l.trim() === b.anchors[i]);
+            if (found < 0 && key) found = output.findIndex(l => statementKey(l) === key);
+            if (found >= 0) at = found + 1;
         }
-        out += '\n';
+        if (b.blankBefore && at > 0 && output[at] !== undefined && !output[at].trim()) at++;
+        if (at < 0) at = output.findIndex(l => /^\s*\\end\{tikzpicture\}/.test(l));
+        const blankAfter = b.blankAfter && output[at] !== undefined && output[at].trim() && !/^\s*\\end\{tikzpicture\}/.test(output[at]);
+        output.splice(at, 0, ...b.lines, ...(blankAfter ? [''] : []));
     }
+    output = insertGeneratedRecord(output, freshLines);
 
-    if (includePoints) {
-        const visPts = coords.filter(c => { const e = elements.get(c.label); return e && e.visible; });
-        if (visPts.length > 0) {
-            out += '  % 点标记\n';
-            for (const p of visPts) out += `  \\draw[fill=black] (${p.label}) circle (1pt);\n`;
-            out += '\n';
-        }
+    return { tikz: output.join('\n'), kept: blocks.length, overrides, conflicts, discarded };
+}
+
+// ─── 配置文件 ───────────────────────────────────────────
+//
+// 从输入文件所在目录向上查找 .gikzrc、gikz.config.json，或 package.json 中的 "gikz" 字段（均为 JSON），
+// 取最近的一个：
+//   {
+//     "scale": 0.8, "pointRadius": "1.5pt", "precision": 2, "standalone": true,
+//     "presets": { "print": { "pointFill": "white", "angleFill": "gray!15" } },
+//     "preset": "print"
+//   }
+// 可设置 DEFAULT_SETTINGS 中的输出样式和 CONFIG_OPTIONS 中的转换选项；presets 为命名预设，
+// 由 "preset" 或 --preset 选用。优先级：默认值 < 配置文件 < 预设 < 命令行。
+
+const CONFIG_FILES = ['.gikzrc', 'gikz.config.json'];
+const CONFIG_OPTIONS = ['standalone', 'points', 'labels', 'round', 'color', 'symbolic', 'styles', 'grouped', 'auxiliary'];
+
+function readJSON(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`配置文件 ${file} 解析失败: ${e.message}`);
     }
+}
 
-    if (includeLabels) {
-        const lblPts = coords.filter(c => { const e = elements.get(c.label); return e && (e.visible || e.showLabel); });
-        if (lblPts.length > 0) {
-            out += '  % 点标签\n';
-            for (const p of lblPts) {
-                const pos = getSmartLabelPosition(p.x, p.y, coords);
-                out += `  \\node[${pos}] at (${p.label}) {$${p.label}$};\n`;
-            }
+function findConfig(dir) {
+    for (let d = path.resolve(dir); ; d = path.dirname(d)) {
+        for (const name of CONFIG_FILES) {
+            const file = path.join(d, name);
+            if (fs.existsSync(file)) return { file, config: readJSON(file) };
         }
+        const pkg = path.join(d, 'package.json');
+        if (fs.existsSync(pkg)) {
+            const json = readJSON(pkg);
+            if (json && json.gikz) return { file: pkg, config: json.gikz };
+        }
+        if (path.dirname(d) === d) return null;
     }
-
-    out += '\\end{tikzpicture}';
-    return out;
 }
 
-// ─── 包装函数：standalone / tikzonly ────────────────────
+function checkSettings(settings, where) {
+    for (const [key, value] of Object.entries(settings)) {
+        if (!(key in DEFAULT_SETTINGS) && !CONFIG_OPTIONS.includes(key)) throw new Error(`${where}: 未知设置 "${key}"`);
+        const expected = key in DEFAULT_SETTINGS ? DEFAULT_SETTINGS[key] : null;
+        const ok = key === 'compat' ? value === null || typeof value === 'string'
+            : key === 'snap' ? typeof value === 'boolean' || (typeof value === 'number' && value > 0)
+            : key === 'color' ? typeof value === 'boolean' || value === 'xcolor'
+            : key === 'styles' ? typeof value === 'boolean' || (typeof value === 'string' && value !== '')
+            : Array.isArray(expected) ? Array.isArray(value) && value.every(v => typeof v === 'string')
+            : expected === null ? typeof value === 'boolean'
+            : typeof value === typeof expected;
+        if (!ok) throw new Error(`${where}: 设置 "${key}" 的值无效: ${JSON.stringify(value)}`);
+    }
+    if (settings.precision !== undefined && !(Number.isInteger(settings.precision) && settings.precision >= 0))
+        throw new Error(`${where}: precision 应为非负整数`);
+}
 
-function wrapStandalone(tikzCode) {
-    return `\\documentclass[border=5pt]{standalone}
-\\usepackage{tikz}
-\\usepackage{pgfplots}
-\\pgfplotsset{compat=1.15}
-\\usetikzlibrary{arrows.meta}
+// 目录 dir 下生效的配置（已展开预设）；preset 为命令行指定的预设名
+function loadConfig(dir, preset = null) {
+    const found = findConfig(dir);
+    const where = found ? found.file : '配置';
+    const { presets = {}, preset: defaultPreset, ...settings } = found ? found.config : {};
+    checkSettings(settings, where);
+    const name = preset || defaultPreset;
+    if (!name) return settings;
+    if (!Object.prototype.hasOwnProperty.call(presets, name))
+        throw new Error(found ? `${where} 中没有预设 "${name}"` : `未找到配置文件，无法使用预设 "${name}"`);
+    checkSettings(presets[name], `${where} (预设 ${name})`);
+    return { ...settings, ...presets[name] };
+}
 
-\\begin{document}
-${tikzCode}
-\\end{document}
-`;
+// 某个输入文件的转换选项；file 为 null 时（stdin）从当前目录查找配置
+function optionsFor(file, cli) {
+    const dir = file ? path.dirname(path.resolve(file)) : process.cwd();
+    return { ...CLI_DEFAULTS, ...loadConfig(dir, cli.preset), ...cli };
 }
 
 // ─── CLI ─────────────────────────────────────────────────
@@ -848,6 +3548,23 @@ Gikz — GeoGebra TikZ 代码清洗工具
   --no-labels           不输出点标签
   --no-round            不四舍五入坐标（保留原始精度）
   --output, -o <path>   输出到文件（多文件时为目录）
+  --report              在 stderr 列出每行输入的处理结果（已转换/已合并/已丢弃/已忽略）
+  --report=<file.json>  将诊断报告写为 JSON
+  --strict              有输入被丢弃时报错退出（不写出结果）
+  --in-place, -i        原地处理 .tex 文档中的每个 tikzpicture
+  --dry-run             同 --in-place，但只输出差异，不写回文件
+  --update, -u          重新生成时保留上次输出中的手工修改（与 -o 或文档模式配合）
+  --color               保留对象颜色：以可读的名称输出 \\definecolor，并用于线条、填充和标签
+  --color=xcolor        同上，但改用最接近的 xcolor 颜色名，不输出 \\definecolor
+  --symbolic            .ggb/.xml 中的依赖点（中点、旋转、对称、平移、交点等）输出为 calc 表达式
+  --preset <名称>       使用配置文件中的命名预设
+  --precision <N>       四舍五入保留 N 位小数（默认 3）
+  --snap[=<容差>]       把接近整数、简单分数、π 的倍数和常见根式的数值写成精确表达式（默认容差 1e-6）
+  --styles              在图形开头输出 \\tikzset 语义样式（gikz point、gikz label、gikz angle 等），元素只引用样式
+  --styles=<文件>       同上，但样式定义写入该文件（供 \\input 一次），图形中不再重复
+  --grouped             按元素类型分块输出（角度、扇形、圆……最后是点）；默认按 GeoGebra 图层与构造顺序输出
+  --auxiliary           .ggb/.xml 中的辅助对象也输出（默认省略）
+  --watch, -w           监视输入文件（及目录），变化后重新转换；输出未变化时不写文件
   --help, -h            显示此帮助
 
 示例:
@@ -856,12 +3573,40 @@ Gikz — GeoGebra TikZ 代码清洗工具
   node gikz.js -s -o clean.tex export.txt
   node gikz.js *.txt -o output/
   cat export.txt | node gikz.js -s
+  node gikz.js --report --strict export.txt
+  node gikz.js --dry-run chapter.tex
+  node gikz.js -u figure.ggb -o figure.tex
+  node gikz.js --color figure.ggb
+  node gikz.js -w figures/ -o tikz/
+
+文档模式:
+  GeoGebra 导出的 tikzpicture 原地清洗，其余文本保持不变；
+  在图形前加一行 "% gikz: figures/tri.ggb" 可由该文件重新生成图形。
+
+配置文件:
+  从输入文件所在目录向上查找 .gikzrc、gikz.config.json 或 package.json 的 "gikz" 字段（JSON），
+  可设置 scale、pointRadius、pointFill、samples、angleFill、polygonFill、precision、snap、border、
+  compat、preamble 及 standalone、points、labels、round、color、symbolic、styles、grouped、auxiliary；
+  "presets" 中定义命名预设，用 --preset 选用。命令行选项优先。
+
+更新模式 (--update):
+  "% gikz: keep" 与 "% gikz: end" 之间的内容原样保留；
+  手工修改过的点标签和线型也会保留，引用已删除坐标的保留块报告为冲突。
 `);
 }
 
+const CLI_DEFAULTS = { standalone: false, points: true, labels: true, round: true, output: null, report: null, strict: false, inPlace: false, dryRun: false, update: false, color: false, symbolic: false, styles: false, grouped: false, auxiliary: false, watch: false, preset: null };
+
+function parsePrecision(arg) {
+    const n = Number(arg);
+    if (!Number.isInteger(n) || n < 0) { console.error(`✘ --precision 应为非负整数: ${arg}`); process.exit(1); }
+    return n;
+}
+
+// 只记录命令行上给出的选项，以便与配置文件合并（见 optionsFor）
 function parseArgs(argv) {
     const args = argv.slice(2);
-    const opts = { standalone: false, points: true, labels: true, round: true, output: null, files: [] };
+    const opts = { files: [] };
 
     for (let i = 0; i < args.length; i++) {
         switch (args[i]) {
@@ -870,11 +3615,37 @@ function parseArgs(argv) {
             case '--no-points':  opts.points = false; break;
             case '--no-labels':  opts.labels = false; break;
             case '--no-round':   opts.round  = false; break;
+            case '--report':     opts.report = true; break;
+            case '--strict':     opts.strict = true; break;
+            case '--in-place': case '-i': opts.inPlace = true; break;
+            case '--dry-run':    opts.dryRun = true; break;
+            case '--update': case '-u': opts.update = true; break;
+            case '--color':      opts.color = true; break;
+            case '--symbolic':   opts.symbolic = true; break;
+            case '--grouped':    opts.grouped = true; break;
+            case '--auxiliary':  opts.auxiliary = true; break;
+            case '--watch': case '-w': opts.watch = true; break;
             case '--output': case '-o':
                 opts.output = args[++i]; break;
+            case '--preset':
+                opts.preset = args[++i]; break;
+            case '--precision':
+                opts.precision = parsePrecision(args[++i]); break;
+            case '--snap':       opts.snap = true; break;
+            case '--styles':     opts.styles = true; break;
             case '--help': case '-h':
                 printHelp(); process.exit(0);
             default:
+                if (args[i].startsWith('--report=')) { opts.report = args[i].slice('--report='.length); break; }
+                if (args[i] === '--color=xcolor') { opts.color = 'xcolor'; break; }
+                if (args[i].startsWith('--styles=')) { opts.styles = args[i].slice('--styles='.length); break; }
+                if (args[i].startsWith('--preset=')) { opts.preset = args[i].slice('--preset='.length); break; }
+                if (args[i].startsWith('--precision=')) { opts.precision = parsePrecision(args[i].slice('--precision='.length)); break; }
+                if (args[i].startsWith('--snap=')) {
+                    opts.snap = parseFloat(args[i].slice('--snap='.length));
+                    if (!(opts.snap > 0)) { console.error(`✘ --snap 的容差应为正数: ${args[i]}`); process.exit(1); }
+                    break;
+                }
                 if (args[i].startsWith('-')) { console.error(`未知选项: ${args[i]}`); process.exit(1); }
                 opts.files.push(args[i]);
         }
@@ -882,22 +3653,147 @@ function parseArgs(argv) {
     return opts;
 }
 
-function processContent(content, opts) {
-    let tikz;
-    if (Buffer.isBuffer(content)) {
-        const xml = readGGB(content);
-        tikz = convertGeoGebraXML(xml, opts);
-    } else if (content.includes('<geogebra') && content.includes('<construction')) {
-        tikz = convertGeoGebraXML(content, opts);
-    } else {
-        tikz = cleanTikZCode(content, opts);
+function reportResult(result, opts, name, prefix = '') {
+    for (const w of result.warnings) console.error(`⚠ ${prefix}${w}`);
+    if (opts.report === true) console.error(formatReport(result.report, name));
+    else if (opts.report) opts.reports.push({ file: name, source: result.source, summary: reportSummary(result.report), entries: result.report });
+}
+
+function reportMerge(merge, prefix = '') {
+    if (merge.kept > 0 || merge.overrides.length > 0)
+        console.error(`✎ ${prefix}保留 ${merge.kept} 个保留块, ${merge.overrides.length} 处手工修改`);
+    for (const o of merge.overrides) console.error(`    ${o}`);
+    for (const d of merge.discarded) console.error(`⚠ ${prefix}旧输出中的语句未能保留，已由新版本替换或丢弃: ${d}`);
+    for (const c of merge.conflicts) console.error(`✘ ${prefix}冲突: ${c}`);
+}
+
+// previous: --update 时上一次的输出内容（尚无输出时为空串），为 null 时不合并
+function processContent(content, opts, name = '<stdin>', previous = null) {
+    const result = convert(content, { ...opts, strict: false });
+    reportResult(result, opts, name);
+    if (opts.strict) checkStrict(result);
+    let tikz = result.tikz;
+    if (previous !== null) {
+        const merge = mergeHandEdits(previous, tikz);
+        reportMerge(merge);
+        if (opts.strict && merge.conflicts.length > 0) throw new Error(`严格模式: ${merge.conflicts.length} 处保留冲突`);
+        tikz = merge.tikz;
+    }
+    return opts.standalone ? wrapStandalone(tikz, opts) : tikz;
+}
+
+function processDocuments(opts, cli) {
+    let ok = 0, fail = 0;
+    for (const file of opts.files) {
+        try {
+            const text = fs.readFileSync(file, 'utf8');
+            const doc = processDocument(text, { ...optionsFor(file, cli), baseDir: path.dirname(file) });
+            const count = { cleaned: 0, regenerated: 0, skipped: 0, failed: 0 };
+            for (const f of doc.figures) {
+                const where = `${file}:${f.line}`;
+                count[f.status]++;
+                if (f.status === 'failed') console.error(`✘ ${where}: ${f.error}`);
+                else if (f.result) reportResult(f.result, opts, where, `${where}: `);
+                if (f.merge) reportMerge(f.merge, `${where}: `);
+            }
+            if (opts.dryRun) process.stdout.write(unifiedDiff(text, doc.text, file));
+            else if (doc.changed) fs.writeFileSync(file, doc.text, 'utf8');
+            console.error(`${count.failed ? '✘' : '✔'} ${file}: 清洗 ${count.cleaned}, 重新生成 ${count.regenerated}, 未改动 ${count.skipped}, 失败 ${count.failed}`);
+            if (count.failed) fail++; else ok++;
+        } catch (e) {
+            console.error(`✘ ${file}: ${e.message}`);
+            fail++;
+        }
+    }
+    writeReports(opts);
+    if (fail > 0) process.exit(1);
+}
+
+// 批量与监视模式下目录中参与转换的文件
+const INPUT_EXTENSIONS = ['.ggb', '.xml', '.txt'];
+const WATCH_DEBOUNCE = 300;
+
+function isDirectory(file) {
+    return fs.existsSync(file) && fs.statSync(file).isDirectory();
+}
+
+function isInputFile(file) {
+    return INPUT_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+function expandInputs(files) {
+    const result = [];
+    for (const file of files) {
+        if (!isDirectory(file)) { result.push(file); continue; }
+        for (const name of fs.readdirSync(file).sort())
+            if (isInputFile(name) && !isDirectory(path.join(file, name))) result.push(path.join(file, name));
+    }
+    return result;
+}
+
+// 内容与现有文件相同时不写入，避免触发 LaTeX 的重新编译；返回是否写入
+function writeIfChanged(file, content) {
+    if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === content) return false;
+    fs.writeFileSync(file, content, 'utf8');
+    return true;
+}
+
+// 监视输入文件所在目录（GeoGebra 保存时先写临时文件再改名，直接监视文件会丢失后续变化）；
+// 同一文件的连续写入合并为一次转换，出错只报告、不退出。返回 { close() } 用于停止监视
+function watchInputs(opts, files, outputOf, convertOne) {
+    const watchedFiles = new Map(files.map(f => [path.resolve(f), f]));
+    const watchedDirs = new Map(opts.files.filter(isDirectory).map(d => [path.resolve(d), d]));
+    const dirs = new Set([...watchedDirs.keys(), ...[...watchedFiles.keys()].map(f => path.dirname(f))]);
+    const timers = new Map(), watchers = [];
+
+    const schedule = (resolved, file) => {
+        clearTimeout(timers.get(resolved));
+        timers.set(resolved, setTimeout(() => {
+            timers.delete(resolved);
+            if (!fs.existsSync(resolved) || isDirectory(resolved)) return;
+            const stale = opts.reports.findIndex(r => r.file === file);
+            if (stale >= 0) opts.reports.splice(stale, 1);
+            convertOne(file);
+            writeReports(opts);
+        }, WATCH_DEBOUNCE));
+    };
+
+    for (const dir of dirs) {
+        const watcher = fs.watch(dir, (event, name) => {
+            if (!name) return;
+            const resolved = path.join(dir, name);
+            if (watchedFiles.has(resolved)) return schedule(resolved, watchedFiles.get(resolved));
+            // 监视目录中新出现的输入文件；跳过本工具自己的输出
+            if (!watchedDirs.has(dir) || !isInputFile(name)) return;
+            const file = path.join(watchedDirs.get(dir), name);
+            const out = outputOf(file);
+            if (out && path.resolve(out) === resolved) return;
+            watchedFiles.set(resolved, file);
+            schedule(resolved, file);
+        });
+        watcher.on('error', e => console.error(`✘ 监视 ${dir}: ${e.message}`));
+        watchers.push(watcher);
     }
-    if (opts.standalone) tikz = wrapStandalone(tikz);
-    return tikz;
+    console.error(`监视 ${watchedFiles.size} 个文件${watchedDirs.size ? `、${watchedDirs.size} 个目录` : ''}，按 Ctrl+C 退出`);
+    return {
+        close() {
+            for (const watcher of watchers) watcher.close();
+            for (const timer of timers.values()) clearTimeout(timer);
+            timers.clear();
+        }
+    };
+}
+
+function writeReports(opts) {
+    if (typeof opts.report !== 'string') return;
+    fs.writeFileSync(opts.report, JSON.stringify(opts.reports, null, 2) + '\n', 'utf8');
+    console.error(`✔ 报告已写入 ${opts.report}`);
 }
 
 function main() {
-    const opts = parseArgs(process.argv);
+    const cli = parseArgs(process.argv);
+    cli.reports = [];
+    const opts = { ...CLI_DEFAULTS, ...cli };
     const isTTY = process.stdin.isTTY;
 
     if (opts.files.length === 0 && isTTY) {
@@ -905,6 +3801,30 @@ function main() {
         process.exit(0);
     }
 
+    if (opts.watch && (opts.files.length === 0 || opts.inPlace || opts.dryRun)) {
+        console.error('✘ --watch 需要指定输入文件或目录，且不能与 --in-place/--dry-run 同用');
+        process.exit(1);
+    }
+
+    // --styles=<文件>：语义样式定义单独写入该文件，图形只引用样式
+    if (typeof opts.styles === 'string') {
+        try {
+            const settings = outputSettings(optionsFor(opts.files[0] || null, cli));
+            fs.writeFileSync(opts.styles, `% gikz 语义样式，用 \\input{${opts.styles}} 载入\n${tikzStyles(settings)}\n`, 'utf8');
+            console.error(`✔ 样式已写入 ${opts.styles}`);
+        } catch (e) {
+            console.error(`✘ ${opts.styles}: ${e.message}`);
+            process.exit(1);
+        }
+    }
+
+    if (opts.inPlace || opts.dryRun) {
+        if (opts.files.length === 0) { console.error('✘ --in-place/--dry-run 需要指定 .tex 文件'); process.exit(1); }
+        return processDocuments(opts, cli);
+    }
+
+    if (opts.update && !opts.output && !opts.inPlace && !opts.dryRun) { console.error('✘ --update 需要配合 -o 指定上次的输出文件，或用于文档模式'); process.exit(1); }
+
     // stdin 模式
     if (opts.files.length === 0) {
         let data = '';
@@ -912,14 +3832,17 @@ function main() {
         process.stdin.on('data', chunk => data += chunk);
         process.stdin.on('end', () => {
             try {
-                const result = processContent(data, opts);
+                const previous = !opts.update ? null : fs.existsSync(opts.output) ? fs.readFileSync(opts.output, 'utf8') : '';
+                const result = processContent(data, optionsFor(null, cli), '<stdin>', previous);
                 if (opts.output) {
                     fs.writeFileSync(opts.output, result, 'utf8');
                     console.error(`✔ 已写入 ${opts.output}`);
                 } else {
                     process.stdout.write(result + '\n');
                 }
+                writeReports(opts);
             } catch (e) {
+                writeReports(opts);
                 console.error(`✘ 错误: ${e.message}`);
                 process.exit(1);
             }
@@ -927,36 +3850,64 @@ function main() {
         return;
     }
 
-    // 文件模式
-    const isDir = opts.output && opts.files.length > 1;
+    // 文件模式；目录展开为其中的 .ggb/.xml/.txt 文件
+    const files = expandInputs(opts.files);
+    const batch = files.length > 1 || opts.files.some(isDirectory);
+    const isDir = opts.output && batch;
     if (isDir && !fs.existsSync(opts.output)) fs.mkdirSync(opts.output, { recursive: true });
 
-    let ok = 0, fail = 0;
-    for (const file of opts.files) {
+    const outputOf = file => !opts.output ? null : isDir
+        ? path.join(opts.output, path.basename(file, path.extname(file)) + '.tex')
+        : opts.output;
+    const printed = new Map();
+    const convertOne = file => {
         try {
-            const ext = path.extname(file).toLowerCase();
-            const content = ext === '.ggb' ? fs.readFileSync(file) : fs.readFileSync(file, 'utf8');
-            const result = processContent(content, opts);
-
-            if (opts.output) {
-                const outPath = isDir
-                    ? path.join(opts.output, path.basename(file, path.extname(file)) + '.tex')
-                    : opts.output;
-                fs.writeFileSync(outPath, result, 'utf8');
-                console.error(`✔ ${file} → ${outPath}`);
-            } else {
-                if (opts.files.length > 1) console.log(`% === ${file} ===`);
+            const outPath = outputOf(file);
+            const existing = outPath && fs.existsSync(outPath) ? fs.readFileSync(outPath, 'utf8') : null;
+            const result = processContent(readInput(file), optionsFor(file, cli), file, opts.update ? existing || '' : null);
+
+            if (outPath) {
+                console.error(`✔ ${file} → ${outPath}${writeIfChanged(outPath, result) ? '' : '（未变化）'}`);
+            } else if (printed.get(file) !== result) {
+                if (batch) console.log(`% === ${file} ===`);
                 process.stdout.write(result + '\n');
+                printed.set(file, result);
             }
-            ok++;
+            return true;
         } catch (e) {
             console.error(`✘ ${file}: ${e.message}`);
-            fail++;
+            return false;
         }
+    };
+
+    let ok = 0, fail = 0;
+    for (const file of files) {
+        if (convertOne(file)) ok++; else fail++;
     }
 
-    if (opts.files.length > 1) console.error(`\n完成: ${ok} 成功, ${fail} 失败`);
+    writeReports(opts);
+    if (batch) console.error(`\n完成: ${ok} 成功, ${fail} 失败`);
+    if (opts.watch) return watchInputs(opts, files, outputOf, convertOne);
     if (fail > 0) process.exit(1);
 }
 
-main();
+module.exports = {
+    convert,
+    tikzToScene,
+    geogebraToScene,
+    emitTikZ,
+    convertFile,
+    processDocument,
+    unifiedDiff,
+    mergeHandEdits,
+    cleanTikZCode,
+    convertGeoGebraXML,
+    readGGB,
+    wrapStandalone,
+    loadConfig,
+    optionsFor,
+    watchInputs,
+    writeIfChanged
+};
+
+if (require.main === module) main();
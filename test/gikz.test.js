@@ -0,0 +1,477 @@
+// 回归测试：node test/gikz.test.js
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { convert, cleanTikZCode, convertGeoGebraXML, mergeHandEdits, processDocument, unifiedDiff, loadConfig, optionsFor,
+    watchInputs, writeIfChanged } = require('../gikz.js');
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+// 两个点的小图形：标签在 GeoGebra 默认偏移 (0.14, 0.37) 处
+test('小图形的点标签按 GeoGebra 默认偏移匹配', () => {
+    const tikz = cleanTikZCode(`\\begin{tikzpicture}
+\\draw [line width=2pt] (0,0)-- (4,0);
+\\begin{scriptsize}
+\\draw [fill=rvwvcq] (0,0) circle (2.5pt);
+\\draw[color=rvwvcq] (0.14,0.37) node {$A$};
+\\draw [fill=rvwvcq] (4,0) circle (2.5pt);
+\\draw[color=rvwvcq] (4.14,0.37) node {$B$};
+\\end{scriptsize}
+\\end{tikzpicture}`);
+    assert.ok(tikz.includes('\\coordinate (A) at (0,0);'), tikz);
+    assert.ok(tikz.includes('\\coordinate (B) at (4,0);'), tikz);
+    assert.ok(!/P\d/.test(tikz), tikz);
+});
+
+test('填充的直角方块保留填充', () => {
+    const square = options => cleanTikZCode(`\\begin{tikzpicture}
+\\draw[${options}] (0,0) -- (0.3,0) -- (0.3,0.3) -- (0,0.3) -- cycle;
+\\draw [line width=2pt] (0,0)-- (3,0);
+\\draw [line width=2pt] (0,0)-- (0,2);
+\\begin{scriptsize}
+\\draw [fill=black] (0,0) circle (2.5pt);
+\\draw (0.1,-0.2) node {$A$};
+\\end{scriptsize}
+\\end{tikzpicture}`);
+    const filled = square('line width=2pt,fill=black,fill opacity=0.1');
+    assert.ok(filled.includes('\\fill[gray!30] (A) -- ++(0:0.3) -- ++(90:0.3) -- ++(180:0.3) -- cycle;'), filled);
+    assert.ok(filled.includes('\\draw (A) ++(0:0.3) -- ++(90:0.3) -- ++(180:0.3);'), filled);
+    assert.ok(!square('line width=2pt').includes('\\fill'));
+});
+
+test('没有函数图像时裁剪框报告为已忽略', () => {
+    const entry = text => convert(text).report.find(e => e.kind === 'clip');
+    const picture = body => `\\begin{tikzpicture}
+\\clip(-1,-1) rectangle (5,3);
+${body}
+\\end{tikzpicture}`;
+    assert.strictEqual(entry(picture('\\draw (0,0)-- (4,0);')).status, 'ignored');
+    assert.strictEqual(entry(picture('\\draw[smooth,samples=50,domain=-1:5] plot(\\x,{(\\x)^2});')).status, 'converted');
+});
+
+// 只含一个函数 f 的 GeoGebra 文件，返回输出的 plot 行与其中的表达式
+const plotLines = (exp, opts) => convertGeoGebraXML(`<geogebra>
+<euclidianView><size width="400" height="400"/><coordSystem xZero="200" yZero="200" scale="50" yscale="50"/></euclidianView>
+<construction>
+<expression label="f" exp="f(x) = ${exp}"/>
+<element type="function" label="f"><show object="true" label="false"/></element>
+</construction>
+</geogebra>`, opts).split('\n').filter(l => l.includes('plot('));
+const plotOf = exp => plotLines(exp).map(l => l.match(/plot\(\\x,\{(.*)\}\)/)[1]);
+
+test('负号作用于整个乘方', () => {
+    assert.deepStrictEqual(plotOf('-x^2'), ['-((\\x)^2)']);
+    assert.deepStrictEqual(plotOf('-2^x'), ['-(2^(\\x))']);
+    assert.deepStrictEqual(plotOf('3 - x²'), ['3 - (\\x)^2']);
+    assert.deepStrictEqual(plotOf('-x'), ['-\\x']);
+});
+
+test('奇数次根对负底数保号', () => {
+    assert.deepStrictEqual(plotOf('x^(1/3)'), ['(sign(\\x)*abs(\\x)^(1/3))']);
+    assert.deepStrictEqual(plotOf('x^(2/3)'), ['abs(\\x)^(2/3)']);
+    assert.deepStrictEqual(plotOf('cbrt(x - 1)'), ['(sign(\\x - 1)*abs(\\x - 1)^(1/3))']);
+    // 定义域不因负底数被截断
+    assert.ok(plotLines('x^(1/3)')[0].includes('domain=-4:4'));
+});
+
+test('椭圆、抛物线与双曲线的标签放在曲线上', () => {
+    const conic = (matrix, mode) => convertGeoGebraXML(`<geogebra>
+<euclidianView><size width="400" height="400"/><coordSystem xZero="200" yZero="200" scale="50" yscale="50"/></euclidianView>
+<construction>
+<element type="conic" label="c">
+	<show object="true" label="true"/>
+	<labelMode val="${mode}"/>
+	<matrix ${matrix}/>
+</element>
+</construction>
+</geogebra>`).split('\n').find(l => l.includes('\\node'));
+    assert.strictEqual(conic('A0="1" A1="0.25" A2="-1" A3="0" A4="0" A5="0"', 0).trim(), '\\node[above right] at (0.707,1.414) {$c$};');
+    assert.strictEqual(conic('A0="1" A1="0" A2="-12" A3="0" A4="0" A5="-2"', 1).trim(), '\\node[right] at (2,-2) {$c: x^2 - 4y = 12$};');
+    assert.strictEqual(conic('A0="0.25" A1="-1" A2="-1" A3="0" A4="0" A5="0"', 1).trim(), '\\node[left] at (2,0) {$c: x^2 - 4y^2 = 4$};');
+});
+
+test('射线朝向取自定义它的点，与方程系数的符号无关', () => {
+    const ray = coords => convertGeoGebraXML(`<geogebra>
+<euclidianView><size width="400" height="400"/><coordSystem xZero="200" yZero="200" scale="50" yscale="50"/></euclidianView>
+<construction>
+<element type="point" label="A"><show object="true" label="true"/><coords x="0" y="0" z="1"/></element>
+<element type="point" label="B"><show object="true" label="true"/><coords x="1" y="1" z="1"/></element>
+<command name="Ray"><input a0="A" a1="B"/><output a0="f"/></command>
+<element type="ray" label="f"><show object="true" label="false"/><coords ${coords}/></element>
+</construction>
+</geogebra>`).split('\n').find(l => l.includes('(A) --'));
+    assert.strictEqual(ray('x="-1" y="1" z="0"').trim(), '\\draw (A) -- (4,4);');
+    assert.strictEqual(ray('x="1" y="-1" z="0"').trim(), '\\draw (A) -- (4,4);');
+});
+
+// --update：先生成一次带生成记录的输出，再按需改动后与新图形合并
+const picture = (...body) => ['\\begin{tikzpicture}[scale=1]', ...body.map(l => l && '  ' + l), '\\end{tikzpicture}'].join('\n');
+const figure = (radius, label = 'above right', style = 'dashed') => picture(
+    '\\coordinate (A) at (0,0);',
+    '\\coordinate (M) at (1,1);',
+    '',
+    `\\draw[${style}] (A) -- (M);`,
+    `\\draw (A) circle (${radius});`,
+    '',
+    '\\node[above] at (A) {$A$};',
+    `\\node[${label}] at (M) {$M$};`
+);
+const generate = tikz => mergeHandEdits('', tikz).tikz;
+
+test('保留块插回原处，前后的空行不变', () => {
+    const previous = generate(figure(2)).replace('\n\n  \\node[above]',
+        '\n\n  % gikz: keep\n  \\draw[->] (M) -- (A);\n  % gikz: end\n\n  \\node[above]');
+    const merge = mergeHandEdits(previous, figure(3));
+    assert.strictEqual(merge.kept, 1);
+    assert.strictEqual(merge.tikz, previous.replace('circle (2)', 'circle (3)').replace(/% gikz: generated .*/, generate(figure(3)).match(/% gikz: generated .*/)[0]));
+    assert.strictEqual(mergeHandEdits(merge.tikz, figure(3)).tikz, merge.tikz);
+});
+
+test('手工修改的标签与线型保留，几何取新值', () => {
+    const previous = generate(figure(2))
+        .replace('\\node[above] at (A) {$A$}', '\\node[left] at (A) {$A_1$}')
+        .replace('\\draw (A) circle (2)', '\\draw[thick, blue] (A) circle (2)');
+    const merge = mergeHandEdits(previous, figure(3));
+    assert.ok(merge.tikz.includes('\\node[left] at (A) {$A_1$};'), merge.tikz);
+    assert.ok(merge.tikz.includes('\\draw[thick, blue] (A) circle (3);'), merge.tikz);
+    assert.strictEqual(merge.overrides.length, 2);
+    assert.deepStrictEqual(merge.discarded, []);
+});
+
+test('未改动的语句随新图形更新', () => {
+    const merge = mergeHandEdits(generate(figure(2)), figure(3, 'below', 'dotted'));
+    assert.strictEqual(merge.tikz, generate(figure(3, 'below', 'dotted')));
+    assert.deepStrictEqual(merge.overrides, []);
+    assert.deepStrictEqual(merge.discarded, []);
+});
+
+test('没有生成记录时全部取新版本并列出被替换的旧语句', () => {
+    const merge = mergeHandEdits(figure(2), figure(3, 'below'));
+    assert.strictEqual(merge.tikz, generate(figure(3, 'below')));
+    assert.deepStrictEqual(merge.discarded, ['\\draw (A) circle (2);', '\\node[above right] at (M) {$M$};']);
+});
+
+test('保留块引用已不存在的坐标时报告冲突', () => {
+    const previous = generate(figure(2)).replace('\\end{tikzpicture}',
+        '  % gikz: keep\n  \\draw (M) -- (N);\n  % gikz: end\n\\end{tikzpicture}');
+    const merge = mergeHandEdits(previous, figure(2));
+    assert.strictEqual(merge.conflicts.length, 1);
+    assert.ok(merge.conflicts[0].includes('(N)'), merge.conflicts[0]);
+});
+
+test('新图形中没有对应的手写语句被丢弃，不再生成的语句不报告', () => {
+    const previous = generate(figure(2)).replace('\\draw (A) circle (2);', '\\draw (A) circle (2);\n  \\draw[red] (A) -- (2,0);');
+    const fresh = figure(2).replace(/\n.*circle.*/, '');
+    const merge = mergeHandEdits(previous, fresh);
+    assert.deepStrictEqual(merge.discarded, ['\\draw[red] (A) -- (2,0);']);
+    assert.ok(!merge.tikz.includes('circle'), merge.tikz);
+});
+
+// 文档处理：引用的文件放在临时目录中
+const SEGMENT = `\\begin{tikzpicture}[line cap=round,line join=round,>=triangle 45,x=1cm,y=1cm]
+\\draw [line width=2pt] (0,0)-- (4,0);
+\\begin{scriptsize}
+\\draw [fill=rvwvcq] (0,0) circle (2.5pt);
+\\draw[color=rvwvcq] (0.14,0.37) node {$A$};
+\\draw [fill=rvwvcq] (4,0) circle (2.5pt);
+\\draw[color=rvwvcq] (4.14,0.37) node {$B$};
+\\end{scriptsize}
+\\end{tikzpicture}`;
+// 临时目录，files 为 { 相对路径: 内容 }，进程退出时删除
+const tempDirs = [];
+process.on('exit', () => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+const tempDir = files => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gikz-'));
+    for (const [name, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+        fs.writeFileSync(path.join(dir, name), content);
+    }
+    tempDirs.push(dir);
+    return dir;
+};
+const documentDir = () => tempDir({ 'segment.txt': SEGMENT, 'broken.ggb': 'not a zip' });
+const marked = '前文\n% gikz: segment.txt\n\\begin{tikzpicture}\n\\end{tikzpicture}\n后文\n';
+
+test('标记的图形由引用的文件重新生成，重复处理不再改动', () => {
+    const baseDir = documentDir();
+    for (const opts of [{ baseDir }, { baseDir, update: true }]) {
+        const doc = processDocument(marked, opts);
+        assert.strictEqual(doc.figures[0].status, 'regenerated');
+        assert.strictEqual(doc.figures[0].file, 'segment.txt');
+        assert.ok(doc.text.startsWith('前文\n% gikz: segment.txt\n\\begin{tikzpicture}'), doc.text);
+        assert.ok(doc.text.includes('\\coordinate (B) at (4,0);'), doc.text);
+        assert.ok(doc.text.endsWith('\\end{tikzpicture}\n后文\n'), doc.text);
+        const again = processDocument(doc.text, opts);
+        assert.strictEqual(again.changed, false);
+        assert.strictEqual(again.text, doc.text);
+    }
+});
+
+test('GeoGebra 导出的图形原地清洗，手写图形不动', () => {
+    const handwritten = '\\begin{tikzpicture}\n\\draw (0,0) -- (1,1);\n\\end{tikzpicture}';
+    const doc = processDocument(`${SEGMENT}\n\n${handwritten}\n`);
+    assert.deepStrictEqual(doc.figures.map(f => f.status), ['cleaned', 'skipped']);
+    assert.ok(doc.text.includes('\\coordinate (A) at (0,0);'), doc.text);
+    assert.ok(doc.text.endsWith(`\n\n${handwritten}\n`), doc.text);
+});
+
+test('引用的文件缺失或无法读取时该图形失败，原文保留', () => {
+    const baseDir = documentDir();
+    const text = marked.replace('segment.txt', 'missing.txt') + marked.replace('segment.txt', 'broken.ggb') + marked;
+    const doc = processDocument(text, { baseDir });
+    assert.deepStrictEqual(doc.figures.map(f => f.status), ['failed', 'failed', 'regenerated']);
+    assert.ok(doc.figures[0].error.includes('missing.txt'), doc.figures[0].error);
+    assert.ok(doc.figures[1].error, 'broken.ggb 应报告错误');
+    assert.ok(doc.text.startsWith(marked.replace('segment.txt', 'missing.txt') + marked.replace('segment.txt', 'broken.ggb')), doc.text);
+});
+
+test('CRLF 文档保持 CRLF 换行', () => {
+    const baseDir = documentDir();
+    const text = marked.replace(/\n/g, '\r\n');
+    const doc = processDocument(text, { baseDir, update: true });
+    assert.strictEqual(doc.figures[0].file, 'segment.txt');
+    assert.strictEqual(doc.figures[0].status, 'regenerated');
+    assert.ok(!/[^\r]\n/.test(doc.text), JSON.stringify(doc.text));
+    assert.strictEqual(doc.text.replace(/\r\n/g, '\n'), processDocument(marked, { baseDir, update: true }).text);
+    assert.strictEqual(processDocument(doc.text, { baseDir, update: true }).changed, false);
+});
+
+test('预览差异为统一格式，相距较远的改动分段', () => {
+    const old = 'a\nb\nc\nd\ne\nf\ng\nh';
+    assert.strictEqual(unifiedDiff(old, old, 'f.tex'), '');
+    assert.strictEqual(unifiedDiff(old, old.replace('b', 'B').replace('g', 'G'), 'f.tex', 1),
+        '--- a/f.tex\n+++ b/f.tex\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n@@ -6,3 +6,3 @@\n f\n-g\n+G\n h\n');
+    const baseDir = documentDir();
+    const diff = unifiedDiff(marked, processDocument(marked, { baseDir }).text, 'doc.tex');
+    assert.ok(diff.startsWith('--- a/doc.tex\n+++ b/doc.tex\n@@ -1,'), diff);
+    assert.ok(diff.includes('\n+  \\coordinate (B) at (4,0);\n'), diff);
+    assert.ok(diff.includes('\n 后文\n'), diff);
+});
+
+test('圆弧参数式的系数写作 1. 时仍还原为圆弧', () => {
+    const arc = coefficients => convert(`\\begin{tikzpicture}[line cap=round,line join=round,>=triangle 45,x=1cm,y=1cm]
+\\draw [line width=2pt] (0,0)-- (4,0);
+\\draw [shift={(0,0)},line width=2pt]  plot[domain=0.:1.5707963267948966,variable=\\t]({${coefficients[0]}*cos(\\t r)+${coefficients[1]}*sin(\\t r)},{${coefficients[1]}*cos(\\t r)+${coefficients[0]}*sin(\\t r)});
+\\begin{scriptsize}
+\\draw [fill=rvwvcq] (0,0) circle (2.5pt);
+\\draw[color=rvwvcq] (0.14,0.37) node {$A$};
+\\end{scriptsize}
+\\end{tikzpicture}`, { strict: true }).tikz;
+    for (const form of [['1*2.5', '0*2.5'], ['1.*2.5', '0.*2.5'], ['1.0*2.5', '-0.*2.5']]) {
+        const tikz = arc(form);
+        assert.ok(tikz.includes('(A) ++(0:2.5) arc (0:90:2.5)'), tikz);
+    }
+    assert.throws(() => arc(['1.*2.5', '1.*2.5']), /严格模式/);
+});
+
+test('定义域边界按输出精度向内取整', () => {
+    assert.ok(plotLines('ln(x)')[0].includes('domain=0.001:4'), plotLines('ln(x)')[0]);
+    assert.ok(plotLines('ln(x)', { precision: 1 })[0].includes('domain=0.1:4'), plotLines('ln(x)', { precision: 1 })[0]);
+    assert.ok(plotLines('sqrt(2 - x)', { precision: 1 })[0].includes('domain=-4:2'), plotLines('sqrt(2 - x)', { precision: 1 })[0]);
+    const exported = opts => cleanTikZCode(`\\begin{tikzpicture}[line cap=round,line join=round,>=triangle 45,x=1cm,y=1cm]
+\\draw[line width=2pt,smooth,samples=100,domain=0:4] plot(\\x,{ln((\\x))});
+\\end{tikzpicture}`, opts);
+    assert.ok(exported({}).includes('domain=0.001:4'), exported({}));
+    assert.ok(exported({ precision: 1 }).includes('domain=0.1:4'), exported({ precision: 1 }));
+});
+
+test('线段内部的点，标签避开线段的两个方向', () => {
+    const tikz = convertGeoGebraXML(`<geogebra>
+<euclidianView><size width="400" height="400"/><coordSystem xZero="200" yZero="200" scale="50" yscale="50"/></euclidianView>
+<construction>
+<element type="point" label="A"><show object="true" label="true"/><coords x="0" y="0" z="1"/></element>
+<element type="point" label="B"><show object="true" label="true"/><coords x="3" y="1" z="1"/></element>
+<command name="Segment"><input a0="A" a1="B"/><output a0="f"/></command>
+<element type="segment" label="f"><show object="true" label="false"/></element>
+<command name="Midpoint"><input a0="A" a1="B"/><output a0="M"/></command>
+<element type="point" label="M"><show object="true" label="true"/><coords x="1.5" y="0.5" z="1"/></element>
+</construction>
+</geogebra>`);
+    assert.ok(tikz.includes('\\node[above] at (M) {$M$};'), tikz);
+});
+
+test('多边形按自身颜色填充，非颜色模式取最接近的 xcolor 颜色名', () => {
+    const triangle = (rgb, opts) => convertGeoGebraXML(`<geogebra>
+<euclidianView><size width="400" height="400"/><coordSystem xZero="200" yZero="200" scale="50" yscale="50"/></euclidianView>
+<construction>
+<element type="point" label="A"><show object="true" label="false"/><coords x="0" y="0" z="1"/></element>
+<element type="point" label="B"><show object="true" label="false"/><coords x="3" y="0" z="1"/></element>
+<element type="point" label="C"><show object="true" label="false"/><coords x="1" y="3" z="1"/></element>
+<command name="Polygon"><input a0="A" a1="B" a2="C"/><output a0="t1"/></command>
+<element type="polygon" label="t1"><show object="true" label="false"/><objColor r="${rgb[0]}" g="${rgb[1]}" b="${rgb[2]}" alpha="0.1"/></element>
+</construction>
+</geogebra>`, opts);
+    assert.ok(triangle([153, 51, 0], {}).includes('\\draw[fill=brown, fill opacity=0.1] (A) -- (B) -- (C) -- cycle;'), triangle([153, 51, 0], {}));
+    assert.ok(triangle([0, 0, 255], {}).includes('fill=blue, fill opacity=0.1'), triangle([0, 0, 255], {}));
+    assert.ok(triangle([0, 0, 0], {}).includes('fill=gray!20, fill opacity=0.1'), triangle([0, 0, 0], {}));
+    assert.ok(triangle([153, 51, 0], { color: true }).includes('fill=ggbBrown, fill opacity=0.1'), triangle([153, 51, 0], { color: true }));
+});
+
+// 依赖点：T 在线段 AB 上，R 为 B 绕 A 旋转 90°，S 为 C 关于 AB 的对称点，X 为 AB 与 CD 的交点
+const dependentPoints = (opts, rotated = '0" y="4') => convertGeoGebraXML(`<geogebra>
+<euclidianView><size width="400" height="400"/><coordSystem xZero="200" yZero="200" scale="50" yscale="50"/></euclidianView>
+<construction>
+<element type="point" label="A"><show object="true" label="true"/><coords x="0" y="0" z="1"/></element>
+<element type="point" label="B"><show object="true" label="true"/><coords x="4" y="0" z="1"/></element>
+<element type="point" label="C"><show object="true" label="true"/><coords x="0" y="2" z="1"/></element>
+<element type="point" label="D"><show object="true" label="true"/><coords x="2" y="-2" z="1"/></element>
+<command name="Segment"><input a0="A" a1="B"/><output a0="c"/></command>
+<element type="segment" label="c"><show object="true" label="false"/><coords x="0" y="1" z="0"/></element>
+<command name="Segment"><input a0="C" a1="D"/><output a0="d"/></command>
+<element type="segment" label="d"><show object="true" label="false"/><coords x="4" y="2" z="-4"/></element>
+<command name="Point"><input a0="c"/><output a0="T"/></command>
+<element type="point" label="T"><show object="true" label="true"/><coords x="3" y="0" z="1"/></element>
+<command name="Rotate"><input a0="B" a1="90°" a2="A"/><output a0="R"/></command>
+<element type="point" label="R"><show object="true" label="true"/><coords x="${rotated}" z="1"/></element>
+<command name="Reflect"><input a0="C" a1="c"/><output a0="S"/></command>
+<element type="point" label="S"><show object="true" label="true"/><coords x="0" y="-2" z="1"/></element>
+<command name="Intersect"><input a0="c" a1="d"/><output a0="X"/></command>
+<element type="point" label="X"><show object="true" label="true"/><coords x="1" y="0" z="1"/></element>
+</construction>
+</geogebra>`, opts);
+
+test('依赖点按构造输出为 calc 表达式', () => {
+    const tikz = dependentPoints({ symbolic: true });
+    assert.ok(tikz.includes('\\coordinate (T) at ($(A)!0.75!(B)$);'), tikz);
+    assert.ok(tikz.includes('\\coordinate (R) at ($(A)!1!90:(B)$);'), tikz);
+    assert.ok(tikz.includes('\\coordinate (S) at ($(C)!2!($(A)!(C)!(B)$)$);'), tikz);
+    assert.ok(tikz.includes('\\coordinate (X) at (intersection of A--B and C--D);'), tikz);
+});
+
+test('不开 --symbolic 或表达式与坐标不符时输出数值坐标', () => {
+    const plain = dependentPoints({});
+    assert.ok(plain.includes('\\coordinate (T) at (3,0);'), plain);
+    assert.ok(plain.includes('\\coordinate (X) at (1,0);'), plain);
+    const mismatched = dependentPoints({ symbolic: true }, '1" y="4');
+    assert.ok(mismatched.includes('\\coordinate (R) at (1,4);'), mismatched);
+    assert.ok(mismatched.includes('\\coordinate (S) at ($(C)!2!($(A)!(C)!(B)$)$);'), mismatched);
+});
+
+// 配置文件：JSON 写入临时目录树
+const json = value => JSON.stringify(value);
+
+test('配置取离输入文件最近的一个', () => {
+    const dir = tempDir({
+        '.gikzrc': json({ precision: 1 }),
+        'gikz.config.json': json({ precision: 4 }),
+        'chapter/gikz.config.json': json({ precision: 2 }),
+        'chapter/figures/a.ggb': ''
+    });
+    assert.strictEqual(loadConfig(dir).precision, 1);
+    assert.strictEqual(loadConfig(path.join(dir, 'chapter')).precision, 2);
+    assert.strictEqual(optionsFor(path.join(dir, 'chapter/figures/a.ggb'), {}).precision, 2);
+});
+
+test('package.json 的 gikz 字段作为配置，没有该字段时继续向上查找', () => {
+    const dir = tempDir({
+        'package.json': json({ name: 'book', gikz: { scale: 0.8 } }),
+        'chapter/package.json': json({ name: 'chapter' })
+    });
+    assert.strictEqual(loadConfig(dir).scale, 0.8);
+    assert.strictEqual(loadConfig(path.join(dir, 'chapter')).scale, 0.8);
+});
+
+test('命令行选项优先于预设和配置文件', () => {
+    const dir = tempDir({
+        'gikz.config.json': json({ precision: 3, standalone: true, presets: { print: { precision: 2, pointFill: 'white' } }, preset: 'print' }),
+        'a.ggb': ''
+    });
+    const file = path.join(dir, 'a.ggb');
+    const fromConfig = optionsFor(file, {});
+    assert.strictEqual(fromConfig.precision, 2);
+    assert.strictEqual(fromConfig.pointFill, 'white');
+    assert.strictEqual(fromConfig.standalone, true);
+    const fromCli = optionsFor(file, { precision: 1, standalone: false });
+    assert.strictEqual(fromCli.precision, 1);
+    assert.strictEqual(fromCli.standalone, false);
+    assert.strictEqual(fromCli.pointFill, 'white');
+    assert.throws(() => optionsFor(file, { preset: 'screen' }), /没有预设 "screen"/);
+});
+
+test('配置中的未知键、错误类型和无法解析的文件被拒绝', () => {
+    const rejects = (config, pattern) => assert.throws(() => loadConfig(tempDir({ '.gikzrc': config })), pattern);
+    rejects(json({ colour: true }), /未知设置 "colour"/);
+    rejects(json({ scale: 'big' }), /设置 "scale" 的值无效/);
+    rejects(json({ precision: -1 }), /precision 应为非负整数/);
+    rejects(json({ presets: { print: { pointFil: 'white' } }, preset: 'print' }), /预设 print.*未知设置 "pointFil"/);
+    rejects('{ precision: 2 }', /解析失败/);
+});
+
+// 监视模式：真实的 fs.watch 与防抖计时，测试函数返回 Promise
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('监视模式把连续写入合并为一次转换，输出未变化时不重写', async () => {
+    const dir = documentDir();
+    const input = path.join(dir, 'segment.txt'), output = path.join(dir, 'segment.tex');
+    const written = [];
+    const convertOne = file => written.push(writeIfChanged(output, convert(fs.readFileSync(file, 'utf8')).tikz));
+    const watcher = watchInputs({ files: [input], reports: [] }, [input], () => output, convertOne);
+    try {
+        for (let i = 0; i < 3; i++) {
+            fs.writeFileSync(input, SEGMENT);
+            await delay(30);
+        }
+        await delay(800);
+        assert.deepStrictEqual(written, [true]);
+        fs.writeFileSync(input, SEGMENT);
+        await delay(800);
+        assert.deepStrictEqual(written, [true, false]);
+        fs.writeFileSync(input, SEGMENT.replace('(4,0)', '(5,0)'));
+        await delay(800);
+        assert.deepStrictEqual(written, [true, false, true]);
+        assert.ok(fs.readFileSync(output, 'utf8').includes('(5,0)'));
+    } finally {
+        watcher.close();
+    }
+});
+
+// 图层：f 在图层 2、h 在图层 0 且构造在后，g 受显示条件控制
+const layered = (opts, layers = [2, 0]) => convertGeoGebraXML(`<geogebra>
+<euclidianView><size width="400" height="400"/><coordSystem xZero="200" yZero="200" scale="50" yscale="50"/></euclidianView>
+<construction>
+<element type="point" label="A"><show object="true" label="false"/><coords x="0" y="0" z="1"/></element>
+<element type="point" label="B"><show object="true" label="false"/><coords x="3" y="0" z="1"/></element>
+<element type="point" label="C"><show object="true" label="false"/><coords x="1" y="3" z="1"/></element>
+<element type="boolean" label="show"><show object="false" label="true"/><value val="false"/></element>
+<command name="Segment"><input a0="A" a1="B"/><output a0="f"/></command>
+<element type="segment" label="f"><show object="true" label="false"/><layer val="${layers[0]}"/></element>
+<command name="Segment"><input a0="A" a1="C"/><output a0="g"/></command>
+<element type="segment" label="g"><show object="true" label="false"/><condition showObject="show"/></element>
+<command name="Segment"><input a0="C" a1="B"/><output a0="h"/></command>
+<element type="segment" label="h"><show object="true" label="false"/><layer val="${layers[1]}"/></element>
+</construction>
+</geogebra>`, opts);
+const blocks = tikz => tikz.split('\n').filter(l => /^\s*% /.test(l)).map(l => l.trim().slice(2));
+
+test('按图层分块输出，低图层在前，显示条件为假的对象不输出', () => {
+    const tikz = layered({});
+    assert.deepStrictEqual(blocks(tikz), ['坐标点定义', '图层 0', '图层 2', '点标签']);
+    assert.ok(tikz.indexOf('\\draw (C) -- (B);') < tikz.indexOf('\\draw (A) -- (B);'), tikz);
+    assert.ok(!tikz.includes('(A) -- (C)'), tikz);
+    assert.deepStrictEqual(blocks(layered({}, [0, 0])), ['坐标点定义', '图形', '点标签']);
+});
+
+test('--grouped 按元素类型分块，块内按构造顺序', () => {
+    const tikz = layered({ grouped: true });
+    assert.ok(!blocks(tikz).some(b => b.startsWith('图层')), tikz);
+    assert.ok(blocks(tikz).includes('线段'), tikz);
+    assert.ok(tikz.indexOf('\\draw (A) -- (B);') < tikz.indexOf('\\draw (C) -- (B);'), tikz);
+});
+
+(async () => {
+    let failed = 0;
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✔ ${name}`);
+        } catch (e) {
+            failed++;
+            console.log(`✘ ${name}\n${e.message}`);
+        }
+    }
+    if (failed > 0) process.exit(1);
+})();